@@ -0,0 +1,81 @@
+// Apparent ("feels like") temperature models
+// Temperatures in °C, relative humidity in %, wind speed in m/s at 10 m, solar radiation in W/m²
+const { vapourPressure } = require('./thermodynamics');
+
+// Default fraction of global solar radiation taken as absorbed by a person for the Steadman radiation term;
+// an estimate, since the BoM formula expects net absorbed radiation, which a station doesn't measure
+const SOLAR_ABSORBED_FRACTION = 0.1;
+
+function celsiusToFahrenheit(temperatureC) {
+  return temperatureC * 9 / 5 + 32;
+}
+
+function fahrenheitToCelsius(temperatureF) {
+  return (temperatureF - 32) * 5 / 9;
+}
+
+// NWS heat index (°C): Rothfusz regression with the low and high humidity adjustments
+function heatIndex(temperatureC, relativeHumidity) {
+  const T = celsiusToFahrenheit(temperatureC);
+  const RH = relativeHumidity;
+
+  // Simple formula first; the regression is only used when the result is 80 °F or more
+  const simple = 0.5 * (T + 61.0 + (T - 68.0) * 1.2 + RH * 0.094);
+  if ((simple + T) / 2 < 80) {
+    return fahrenheitToCelsius(simple);
+  }
+
+  let hi = -42.379 + 2.04901523 * T + 10.14333127 * RH
+    - 0.22475541 * T * RH - 0.00683783 * T * T
+    - 0.05481717 * RH * RH + 0.00122874 * T * T * RH
+    + 0.00085282 * T * RH * RH - 0.00000199 * T * T * RH * RH;
+
+  if (RH < 13 && T >= 80 && T <= 112) {
+    hi -= ((13 - RH) / 4) * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+  } else if (RH > 85 && T >= 80 && T <= 87) {
+    hi += ((RH - 85) / 10) * ((87 - T) / 5);
+  }
+
+  return fahrenheitToCelsius(hi);
+}
+
+// NWS / Environment Canada wind chill (°C); null outside its valid range (T ≤ 10 °C, wind > 4.8 km/h)
+function windChill(temperatureC, windSpeed) {
+  const windKmh = windSpeed * 3.6;
+  if (temperatureC > 10 || windKmh <= 4.8) return null;
+
+  const v = Math.pow(windKmh, 0.16);
+  return 13.12 + 0.6215 * temperatureC - 11.37 * v + 0.3965 * temperatureC * v;
+}
+
+// Steadman / Australian Bureau of Meteorology apparent temperature (°C), with the radiation term when solar radiation is known
+// and absorbedFraction isn't 0
+function apparentTemperature(temperatureC, relativeHumidity, windSpeed, solarRadiation, absorbedFraction = SOLAR_ABSORBED_FRACTION) {
+  const e = vapourPressure(temperatureC, relativeHumidity); // MB (hPa)
+  const ws = windSpeed || 0;
+
+  if (typeof solarRadiation === 'number' && absorbedFraction > 0) {
+    const Q = solarRadiation * absorbedFraction;
+    return temperatureC + 0.348 * e - 0.70 * ws + 0.70 * Q / (ws + 10) - 4.25;
+  }
+  return temperatureC + 0.33 * e - 0.70 * ws - 4.00;
+}
+
+// Feels-like temperature (°C) for the configured model: 'nws' or 'apparentTemperature'
+function feelsLike(model, temperatureC, relativeHumidity, windSpeed, solarRadiation, absorbedFraction) {
+  if (model === 'apparentTemperature') {
+    return apparentTemperature(temperatureC, relativeHumidity, windSpeed, solarRadiation, absorbedFraction);
+  }
+
+  const chill = windChill(temperatureC, windSpeed);
+  if (chill !== null) return chill;
+  if (temperatureC >= 26.7) return heatIndex(temperatureC, relativeHumidity); // 80 °F
+  return temperatureC;
+}
+
+module.exports = {
+  heatIndex,
+  windChill,
+  apparentTemperature,
+  feelsLike
+};
@@ -0,0 +1,75 @@
+// Stale data watchdog: tracks when each data channel last delivered against the interval it reports at
+const { createNotificationDelta } = require('./notifications');
+
+const SOURCE = 'zennora-weatherflow-watchdog';
+
+class DataWatchdog {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.staleFactor = options.staleFactor || 3; // Missed intervals before a channel is stale
+    this.channels = new Map(); // id -> channel
+  }
+
+  // Record data on a channel; returns true when the channel was stale and has now recovered
+  // info: { label, intervalSeconds, notificationPath, basePath, keys, arbiterChannel }
+  touch(id, info) {
+    let channel = this.channels.get(id);
+    if (!channel) {
+      channel = { id, label: info.label, notificationPath: info.notificationPath, intervalSeconds: 60,
+        arbiterChannel: info.arbiterChannel || null, paths: new Map(), lastTime: null, stale: false };
+      this.channels.set(id, channel);
+    }
+
+    channel.lastTime = Date.now();
+    if (typeof info.intervalSeconds === 'number' && info.intervalSeconds > 0) {
+      channel.intervalSeconds = info.intervalSeconds;
+    }
+    if (info.basePath) {
+      if (!channel.paths.has(info.basePath)) channel.paths.set(info.basePath, new Set());
+      (info.keys || []).forEach(key => channel.paths.get(info.basePath).add(key));
+    }
+
+    if (!channel.stale) return false;
+    channel.stale = false;
+    this.app.debug(`${channel.label} data resumed`);
+    return true;
+  }
+
+  // Channels that have gone stale since the last check
+  check(now = Date.now()) {
+    const newlyStale = [];
+
+    this.channels.forEach(channel => {
+      if (channel.stale || channel.lastTime === null) return;
+      if (now - channel.lastTime > this.staleFactor * channel.intervalSeconds * 1000) {
+        channel.stale = true;
+        this.app.debug(`${channel.label} data stale`);
+        newlyStale.push(channel);
+      }
+    });
+
+    return newlyStale;
+  }
+
+  notification(channel) {
+    if (!channel.notificationPath) return [];
+    return channel.stale ?
+      [createNotificationDelta(channel.notificationPath, 'warn', `${channel.label} data stale`, SOURCE)] :
+      [createNotificationDelta(channel.notificationPath, 'normal', `${channel.label} data OK`, SOURCE)];
+  }
+
+  // One line per-channel summary for the admin UI status, e.g. "UDP observations 12s, WebSocket STALE 9m"
+  summary(now = Date.now()) {
+    return Array.from(this.channels.values()).map(channel => {
+      const age = Math.round((now - channel.lastTime) / 1000);
+      const ageText = age >= 120 ? `${Math.round(age / 60)}m` : `${age}s`;
+      return `${channel.label} ${channel.stale ? 'STALE ' : ''}${ageText}`;
+    }).join(', ');
+  }
+
+  anyStale() {
+    return Array.from(this.channels.values()).some(channel => channel.stale);
+  }
+}
+
+module.exports = DataWatchdog;
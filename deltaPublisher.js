@@ -0,0 +1,78 @@
+// Sends deltas to SignalK with meta only on first sight of a path, and optional per-path
+// rate limiting and deadbands to cut traffic to WebSocket clients and data loggers
+
+class DeltaPublisher {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.minIntervalMs = (options.minInterval || 0) * 1000;
+    this.heartbeatMs = (options.heartbeat || 60) * 1000;
+    this.deadbands = {}; // value name -> minimum change in SignalK units
+    (options.deadbands || []).forEach(({ key, deadband }) => {
+      if (key && typeof deadband === 'number' && deadband > 0) this.deadbands[key] = deadband;
+    });
+    this.valueName = options.valueName || (path => path.substring(path.lastIndexOf('.') + 1)); // Deadband key of a path
+    this.metadata = options.metadata || null; // MetadataRegistry for display names, descriptions and zones
+    this.metaSent = new Set(); // paths whose meta has been published
+    this.last = new Map(); // path -> { value, time } of the last published value
+  }
+
+  // Whether a value should go out now; the deadband is looked up by the path's value name
+  shouldPublish(path, value, now) {
+    const last = this.last.get(path);
+    if (!last || value === null || last.value === null) return true;
+
+    if (this.minIntervalMs && now - last.time < this.minIntervalMs) return false;
+
+    const deadband = this.deadbands[this.valueName(path)];
+    if (deadband && typeof value === 'number' && typeof last.value === 'number' &&
+      Math.abs(value - last.value) < deadband && now - last.time < this.heartbeatMs) {
+      return false;
+    }
+    return true;
+  }
+
+  // Meta for paths not seen before: registry metadata overlaid with the units the delta carries
+  firstMeta(updateMeta, values) {
+    const byPath = new Map();
+    (updateMeta || []).forEach(({ path, value }) => byPath.set(path, value));
+    values.forEach(({ path }) => {
+      if (!byPath.has(path)) byPath.set(path, {});
+    });
+
+    const meta = [];
+    byPath.forEach((value, path) => {
+      if (this.metaSent.has(path)) return;
+      const full = Object.assign({}, this.metadata ? this.metadata.lookup(path) : null, value);
+      if (Object.keys(full).length === 0) return;
+      this.metaSent.add(path);
+      meta.push({ path, value: full });
+    });
+    return meta;
+  }
+
+  // Copy of a delta with only the values and meta due now, or null when nothing is left to send
+  filter(delta) {
+    const now = Date.now();
+
+    const updates = delta.updates.map(update => {
+      const values = (update.values || []).filter(({ path, value }) => {
+        if (value === undefined || !this.shouldPublish(path, value, now)) return false;
+        this.last.set(path, { value, time: now });
+        return true;
+      });
+      const meta = this.firstMeta(update.meta, values);
+
+      const filtered = Object.assign({}, update, { values });
+      if (meta.length > 0) {
+        filtered.meta = meta;
+      } else {
+        delete filtered.meta;
+      }
+      return filtered;
+    }).filter(update => update.values.length > 0 || update.meta);
+
+    return updates.length > 0 ? Object.assign({}, delta, { updates }) : null;
+  }
+}
+
+module.exports = DeltaPublisher;
@@ -0,0 +1,174 @@
+// WeatherFlow device registry: maps device serial numbers to names, SignalK path prefixes and roles
+
+// Paths used when no device list is configured, matching the original single-station layout
+const LEGACY_OBSERVATION_PATHS = {
+  obs_st: 'environment.outside.tempest.observations',
+  obs_air: 'environment.inside.air.observations',
+  obs_sky: 'environment.outside.sky.observations'
+};
+
+// Sensor type of each observation message: Tempest, AIR or Sky, as in the serial number prefix
+const MESSAGE_SENSOR_TYPES = {
+  obs_st: 'ST',
+  obs_air: 'AR',
+  obs_sky: 'SK'
+};
+
+class DeviceRegistry {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.unknownDevices = options.unknownDevices || 'ignore';
+    this.devices = new Map(); // serial number -> device
+    this.hubs = new Map(); // hub serial number -> device serial number
+    this.ignored = new Set(); // unknown serial numbers already logged
+    this.configured = Array.isArray(options.devices) && options.devices.some(device => device.serialNumber);
+
+    // Without a device list every packet goes to one legacy device, as before
+    this.defaultDevice = this.createDevice({
+      serialNumber: null,
+      name: 'Tempest',
+      role: options.stationMode === 'fixed' ? 'shore' : 'onboard',
+      feedsWindCalculations: true,
+      deviceId: options.deviceId,
+      stationId: options.stationId,
+      windAngleOffset: options.windAngleOffset
+    }, false);
+
+    (options.devices || []).forEach(config => {
+      if (!config.serialNumber) return;
+      const device = this.createDevice(config, false);
+
+      // The global offset predates per-device offsets and belongs to the onboard sensor feeding the wind calculations
+      if (device.windAngleOffset === null && device.role === 'onboard' && device.feedsWindCalculations) {
+        device.windAngleOffset = options.windAngleOffset || 0;
+      }
+      this.devices.set(config.serialNumber, device);
+    });
+  }
+
+  createDevice(config, discovered) {
+    return {
+      serialNumber: config.serialNumber,
+      name: config.name || config.serialNumber,
+      pathPrefix: config.pathPrefix || null,
+      role: config.role || 'onboard',
+      feedsWindCalculations: config.feedsWindCalculations === true,
+      deviceId: config.deviceId,
+      stationId: config.stationId,
+      windAngleOffset: typeof config.windAngleOffset === 'number' ? config.windAngleOffset : null, // degrees
+      discovered,
+      sensorTypes: new Set(), // Sensor types (ST, AR, SK) the device has reported as
+      state: null // Per-device monitors, created by the plugin on first use
+    };
+  }
+
+  // Every known device, including the legacy default while no device list is configured
+  all() {
+    return this.configured ? Array.from(this.devices.values()) : [this.defaultDevice];
+  }
+
+  // Device for a UDP packet from the given serial number; null when the packet should be ignored
+  resolve(serialNumber, hubSerialNumber) {
+    const device = this.lookup(serialNumber);
+    if (device && hubSerialNumber) {
+      this.hubs.set(hubSerialNumber, device.serialNumber);
+    }
+    return device;
+  }
+
+  // Device a hub_status packet belongs to: the hub itself if listed, else the device reporting through it;
+  // null until a device has been seen on an unlisted hub
+  resolveHub(hubSerialNumber) {
+    if (!this.configured || this.devices.has(hubSerialNumber)) {
+      return this.lookup(hubSerialNumber);
+    }
+    return this.hubs.has(hubSerialNumber) ? this.devices.get(this.hubs.get(hubSerialNumber)) : null;
+  }
+
+  // Device for a WebSocket message by its WeatherFlow device_id
+  findByDeviceId(deviceId) {
+    if (!this.configured) return this.defaultDevice;
+    return this.all().find(device => device.deviceId !== undefined && device.deviceId === deviceId) || null;
+  }
+
+  lookup(serialNumber) {
+    if (!this.configured) return this.defaultDevice;
+    if (this.devices.has(serialNumber)) return this.devices.get(serialNumber);
+    if (!serialNumber) return null;
+
+    if (this.unknownDevices === 'discover') {
+      const device = this.createDevice({
+        serialNumber,
+        pathPrefix: `environment.outside.weatherflow.${serialNumber.replace(/[^A-Za-z0-9]/g, '')}`
+      }, true);
+      this.devices.set(serialNumber, device);
+      this.app.debug(`Discovered WeatherFlow device ${serialNumber}, publishing under ${device.pathPrefix}`);
+      return device;
+    }
+
+    if (!this.ignored.has(serialNumber)) {
+      this.ignored.add(serialNumber);
+      this.app.debug(`Ignoring packets from unconfigured WeatherFlow device ${serialNumber}`);
+    }
+    return null;
+  }
+
+  // SignalK base paths for a device; messageType and serialNumber select the legacy paths
+  paths(device, messageType, serialNumber) {
+    const prefix = device.pathPrefix;
+
+    if (!prefix) {
+      return {
+        observations: LEGACY_OBSERVATION_PATHS[messageType] || LEGACY_OBSERVATION_PATHS.obs_st,
+        rapidWind: 'environment.outside.rapidWind',
+        rain: 'environment.outside.rain',
+        rainEvents: 'environment.outside.rain.observations',
+        lightningEvents: 'environment.outside.lightning.observations',
+        lightningTracking: 'environment.outside.lightning.tracking',
+        deviceStatus: this.legacyDeviceStatusPath(serialNumber),
+        hubStatus: 'environment.outside.tempest.hubStatus',
+        forecast: 'environment.outside.tempest.forecast',
+        localForecast: 'environment.outside.tempest.localForecast'
+      };
+    }
+
+    return {
+      observations: `${prefix}.observations`,
+      rapidWind: `${prefix}.rapidWind`,
+      rain: `${prefix}.rain`,
+      rainEvents: `${prefix}.rain.observations`,
+      lightningEvents: `${prefix}.lightning.observations`,
+      lightningTracking: `${prefix}.lightning.tracking`,
+      deviceStatus: `${prefix}.deviceStatus`,
+      hubStatus: `${prefix}.hubStatus`,
+      forecast: `${prefix}.forecast`,
+      localForecast: `${prefix}.localForecast`
+    };
+  }
+
+  // Sensor type (ST, AR or SK) from the serial number prefix, else from the message type; Tempest when neither tells
+  sensorType(serialNumber, messageType) {
+    const prefix = (serialNumber || '').substring(0, 2);
+    if (Object.values(MESSAGE_SENSOR_TYPES).includes(prefix)) return prefix;
+    return MESSAGE_SENSOR_TYPES[messageType] || 'ST';
+  }
+
+  // Legacy base path for a device's status values, chosen from its serial number prefix
+  legacyDeviceStatusPath(serialNumber) {
+    switch (this.sensorType(serialNumber)) {
+      case 'AR':
+        return 'environment.inside.air.deviceStatus';
+      case 'SK':
+        return 'environment.outside.sky.deviceStatus';
+      default:
+        return 'environment.outside.tempest.deviceStatus';
+    }
+  }
+
+  // Notification path prefix for a device; the legacy device keeps the original notification paths
+  notificationPrefix(device) {
+    return device.pathPrefix ? `notifications.${device.pathPrefix}` : null;
+  }
+}
+
+module.exports = DeviceRegistry;
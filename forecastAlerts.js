@@ -0,0 +1,141 @@
+// Forecast alert rules: scans the hourly better_forecast for thresholds crossed within a lookahead
+// window and raises a notification with the expected onset, cleared once a newer forecast drops the event
+// Thresholds are in the units sailors use (kn, %, °C, degrees); forecast values arrive in °C, m/s, % and degrees
+const { createNotificationDelta } = require('./notifications');
+
+const SOURCE = 'zennora-weatherflow-forecast-alerts';
+const HOUR_MS = 60 * 60 * 1000;
+const MS_TO_KNOTS = 1.943844;
+
+// Default rules; configured rules with the same id replace them
+const DEFAULT_RULES = [
+  { id: 'gust', metric: 'windGust', condition: 'above', threshold: 25, lookaheadHours: 6, state: 'warn' },
+  { id: 'rain', metric: 'precipProbability', condition: 'above', threshold: 70, lookaheadHours: 6, state: 'alert' },
+  { id: 'windShift', metric: 'windShift', condition: 'above', threshold: 90, lookaheadHours: 12, state: 'alert' },
+  { id: 'freezing', metric: 'airTemperature', condition: 'below', threshold: 0, lookaheadHours: 12, state: 'warn' },
+  { id: 'thunderstorm', metric: 'thunderstorm', condition: 'above', threshold: 0, lookaheadHours: 12, state: 'warn' }
+];
+
+// Label and unit of each metric for alert messages
+const METRICS = {
+  windGust: { label: 'Gusts', unit: 'kn' },
+  windAvg: { label: 'Wind', unit: 'kn' },
+  precipProbability: { label: 'Precipitation probability', unit: '%' },
+  airTemperature: { label: 'Temperature', unit: '°C' },
+  windShift: { label: 'Wind shift', unit: '°' },
+  thunderstorm: { label: 'Thunderstorms', unit: '' }
+};
+
+class ForecastAlerts {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.notificationBases = options.notificationBases || ['notifications.environment.outside.tempest.forecast.alerts'];
+
+    // User rules override, add to or disable the default rules by id
+    const rules = new Map(DEFAULT_RULES.map(rule => [rule.id, rule]));
+    (options.rules || []).forEach(rule => {
+      if (!rule.id) return;
+      if (rule.enabled === false) {
+        rules.delete(rule.id);
+      } else if (METRICS[rule.metric]) {
+        rules.set(rule.id, Object.assign({}, rules.get(rule.id), rule));
+      }
+    });
+    this.rules = Array.from(rules.values());
+    this.active = new Map(); // rule id -> message of the raised alert
+  }
+
+  // Value of a metric for an hourly entry in threshold units; reference is the first entry for shifts
+  metricValue(metric, entry, reference) {
+    switch (metric) {
+      case 'windGust':
+        return typeof entry.wind_gust === 'number' ? entry.wind_gust * MS_TO_KNOTS : null;
+      case 'windAvg':
+        return typeof entry.wind_avg === 'number' ? entry.wind_avg * MS_TO_KNOTS : null;
+      case 'precipProbability':
+        return typeof entry.precip_probability === 'number' ? entry.precip_probability : null;
+      case 'airTemperature':
+        return typeof entry.air_temperature === 'number' ? entry.air_temperature : null;
+      case 'windShift': {
+        if (typeof entry.wind_direction !== 'number' || typeof reference.wind_direction !== 'number') return null;
+        const shift = Math.abs(entry.wind_direction - reference.wind_direction) % 360;
+        return shift > 180 ? 360 - shift : shift;
+      }
+      case 'thunderstorm':
+        return entry.precip_type === 'storm' || /thunder/i.test(`${entry.conditions} ${entry.icon}`) ? 1 : 0;
+      default:
+        return null;
+    }
+  }
+
+  // First hourly entry within the rule's lookahead that crosses its threshold, with the peak value over the window
+  findOnset(rule, hourly, now) {
+    const end = now + rule.lookaheadHours * HOUR_MS;
+    const window = hourly.filter(entry => entry.time * 1000 + HOUR_MS > now && entry.time * 1000 <= end);
+    if (window.length === 0) return null;
+
+    let onset = null;
+    let peak = null;
+    window.forEach(entry => {
+      const value = this.metricValue(rule.metric, entry, hourly[0]);
+      if (value === null) return;
+      const crossed = rule.condition === 'below' ? value < rule.threshold : value > rule.threshold;
+      if (!crossed) return;
+      if (!onset) onset = entry;
+      if (peak === null || (rule.condition === 'below' ? value < peak : value > peak)) peak = value;
+    });
+    return onset ? { time: onset.time * 1000, peak } : null;
+  }
+
+  // Rule text, e.g. "Gusts above 25 kn"
+  describe(rule) {
+    const { label, unit } = METRICS[rule.metric];
+    if (rule.metric === 'thunderstorm') return label;
+    return `${label} ${rule.condition} ${withUnit(rule.threshold, unit)}`;
+  }
+
+  // Alert text, e.g. "Gusts above 25 kn forecast in 3 h (31 kn)"
+  message(rule, onset, now) {
+    const hours = Math.round((onset.time - now) / HOUR_MS);
+    const when = hours <= 0 ? 'now' : `in ${hours} h`;
+    if (rule.metric === 'thunderstorm') return `${this.describe(rule)} forecast ${when}`;
+    return `${this.describe(rule)} forecast ${when} (${withUnit(Math.round(onset.peak), METRICS[rule.metric].unit)})`;
+  }
+
+  // Evaluate every rule against a new hourly forecast; returns notification deltas for raised, changed and cleared alerts
+  evaluate(hourly, now = Date.now()) {
+    if (!Array.isArray(hourly) || hourly.length === 0) return [];
+
+    const deltas = [];
+    const notify = (rule, state, message, extra) => {
+      this.notificationBases.forEach(base => {
+        deltas.push(createNotificationDelta(`${base}.${rule.id}`, state, message, SOURCE, extra));
+      });
+    };
+
+    this.rules.forEach(rule => {
+      const onset = this.findOnset(rule, hourly, now);
+
+      if (onset) {
+        const message = this.message(rule, onset, now);
+        if (this.active.get(rule.id) === message) return;
+        this.active.set(rule.id, message);
+        this.app.debug(`Forecast alert ${rule.id}: ${message}`);
+        notify(rule, rule.state || 'warn', message, { onsetTime: new Date(onset.time).toISOString() });
+      } else if (this.active.has(rule.id)) {
+        this.active.delete(rule.id);
+        this.app.debug(`Forecast alert ${rule.id} cleared`);
+        notify(rule, 'normal', `${this.describe(rule)} no longer forecast`);
+      }
+    });
+
+    return deltas;
+  }
+}
+
+// Number with its unit; degrees are written without a space
+function withUnit(value, unit) {
+  return unit === '°' ? `${value}°` : `${value} ${unit}`;
+}
+
+module.exports = ForecastAlerts;
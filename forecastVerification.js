@@ -0,0 +1,232 @@
+// Forecast verification: keeps each hourly forecast as issued, matches it with the hour's observed
+// averages once that hour has passed, and accumulates bias and error statistics per variable and lead time
+// Values are handled in WeatherFlow units (°C, m/s, degrees, MB, mm) and converted to SignalK units on output
+const path = require('path');
+const JsonFile = require('./jsonFile');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Verified variables: better_forecast key, scale (and offset) to SignalK units
+const VARIABLES = {
+  airTemperature: { forecastKey: 'air_temperature', scale: 1, offset: 273.15, units: 'K' },
+  windAvg: { forecastKey: 'wind_avg', scale: 1, units: 'm/s' },
+  windGust: { forecastKey: 'wind_gust', scale: 1, units: 'm/s' },
+  windDirection: { forecastKey: 'wind_direction', scale: Math.PI / 180, units: 'rad' },
+  seaLevelPressure: { forecastKey: 'sea_level_pressure', scale: 100, units: 'Pa' },
+  rain: { forecastKey: 'precip', scale: 0.001, units: 'm' }
+};
+
+// Lead time bins by their upper limit in hours
+const LEAD_BINS = [3, 6, 12, 24, 48, 72];
+
+class ForecastVerification {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.file = options.dataDir
+      ? new JsonFile(app, path.join(options.dataDir, options.fileName || 'forecastVerification.json'), 'forecast verification')
+      : null;
+    this.verifyDirection = options.verifyDirection === true; // Only meaningful when the sensor direction is a true bearing
+    this.minSamples = options.minSamples || 10; // Verified forecasts before a bin is used for bias correction
+
+    this.forecasts = {}; // valid hour (ms) -> { lead hours: forecast values } from the latest issue at each lead
+    this.hours = {}; // hour (ms) -> observation sums
+    this.stats = {}; // variable -> bin -> { count, sumError, sumAbsError, sumSquaredError }
+    this.latest = null; // hourly entries of the most recent forecast
+
+    this.load();
+  }
+
+  // Restore the pending forecasts and statistics from the plugin data directory
+  load() {
+    const saved = this.file ? this.file.read() : null;
+    if (!saved) return;
+
+    this.forecasts = saved.forecasts || {};
+    this.hours = saved.hours || {};
+    this.stats = saved.stats || {};
+    this.app.debug('Restored forecast verification from', this.file.filePath);
+  }
+
+  // Write to the plugin data directory
+  save(sync = false) {
+    if (!this.file) return;
+
+    this.file.write({ forecasts: this.forecasts, hours: this.hours, stats: this.stats }, sync);
+  }
+
+  // Store a newly issued hourly forecast (better_forecast hourly entries)
+  addForecast(hourly, issued = Date.now()) {
+    if (!Array.isArray(hourly)) return;
+    this.latest = hourly;
+
+    hourly.forEach(entry => {
+      const validTime = entry.time * 1000;
+      const lead = Math.round((validTime - issued) / HOUR_MS);
+      if (lead < 0 || lead > LEAD_BINS[LEAD_BINS.length - 1]) return;
+
+      const values = {};
+      Object.entries(VARIABLES).forEach(([variable, { forecastKey }]) => {
+        if (typeof entry[forecastKey] === 'number') values[variable] = entry[forecastKey];
+      });
+      if (!this.forecasts[validTime]) this.forecasts[validTime] = {};
+      this.forecasts[validTime][lead] = values;
+    });
+
+    this.save();
+  }
+
+  // Add a UDP obs_st observation (WeatherFlow units, interval in minutes); returns true when an hour was verified
+  addObservation(timeEpoch, observation, intervalMinutes) {
+    if (typeof observation.airTemperature !== 'number' || typeof observation.windAvg !== 'number') return false;
+
+    const time = timeEpoch * 1000;
+    const hour = Math.floor(time / HOUR_MS) * HOUR_MS;
+
+    if (!this.hours[hour]) {
+      this.hours[hour] = { minutes: 0, count: 0, airTemperature: 0, windAvg: 0, windGust: null,
+        windEast: 0, windNorth: 0, seaLevelPressure: 0, pressureCount: 0, rain: 0 };
+    }
+    const sums = this.hours[hour];
+    sums.minutes += intervalMinutes || 1;
+    sums.count += 1;
+    sums.airTemperature += observation.airTemperature;
+    sums.windAvg += observation.windAvg;
+    sums.windGust = Math.max(sums.windGust === null ? 0 : sums.windGust, observation.windGust || 0);
+    if (typeof observation.windDirection === 'number') {
+      // Speed weighted vector sum so calm spells don't swing the mean direction
+      const radians = observation.windDirection * Math.PI / 180;
+      sums.windEast += observation.windAvg * Math.sin(radians);
+      sums.windNorth += observation.windAvg * Math.cos(radians);
+    }
+    if (typeof observation.seaLevelPressure === 'number') {
+      sums.seaLevelPressure += observation.seaLevelPressure;
+      sums.pressureCount += 1;
+    }
+    sums.rain += observation.rainAccumulated || 0;
+
+    // Hours before this one are complete
+    let verified = false;
+    Object.keys(this.hours).map(Number).filter(earlier => earlier < hour).forEach(earlier => {
+      verified = this.verifyHour(earlier) || verified;
+      delete this.hours[earlier];
+    });
+
+    // Forecasts for hours that have passed without enough observations are dropped
+    Object.keys(this.forecasts).map(Number).filter(validTime => validTime < hour - HOUR_MS).forEach(validTime => {
+      delete this.forecasts[validTime];
+    });
+
+    if (verified) this.save();
+    return verified;
+  }
+
+  // Observed hourly values from the sums, or null when less than half the hour was observed
+  observed(sums) {
+    if (!sums || sums.minutes < 30) return null;
+
+    const observed = {
+      airTemperature: sums.airTemperature / sums.count,
+      windAvg: sums.windAvg / sums.count,
+      windGust: sums.windGust,
+      rain: sums.rain
+    };
+    if (sums.pressureCount > 0) {
+      observed.seaLevelPressure = sums.seaLevelPressure / sums.pressureCount;
+    }
+    if (this.verifyDirection && observed.windAvg >= 1) {
+      const direction = Math.atan2(sums.windEast, sums.windNorth) * 180 / Math.PI;
+      observed.windDirection = direction < 0 ? direction + 360 : direction;
+    }
+    return observed;
+  }
+
+  // Match every forecast issued for an hour with what was observed
+  verifyHour(hour) {
+    const observed = this.observed(this.hours[hour]);
+    const forecasts = this.forecasts[hour];
+    delete this.forecasts[hour];
+    if (!observed || !forecasts) return false;
+
+    Object.entries(forecasts).forEach(([lead, values]) => {
+      const bin = leadBin(Number(lead));
+      Object.entries(values).forEach(([variable, forecast]) => {
+        if (typeof observed[variable] !== 'number') return;
+
+        let error = forecast - observed[variable];
+        if (variable === 'windDirection') {
+          error = ((error + 540) % 360) - 180; // Shortest way round
+        }
+
+        if (!this.stats[variable]) this.stats[variable] = {};
+        if (!this.stats[variable][bin]) {
+          this.stats[variable][bin] = { count: 0, sumError: 0, sumAbsError: 0, sumSquaredError: 0 };
+        }
+        const stat = this.stats[variable][bin];
+        stat.count += 1;
+        stat.sumError += error;
+        stat.sumAbsError += Math.abs(error);
+        stat.sumSquaredError += error * error;
+      });
+    });
+
+    this.app.debug(`Verified forecasts for ${new Date(hour).toISOString()}`);
+    return true;
+  }
+
+  // Statistics per variable and lead bin in SignalK units: { variable: { h3: { count, bias, mae, rmse } } }
+  statistics() {
+    const result = {};
+    Object.entries(this.stats).forEach(([variable, bins]) => {
+      const { scale } = VARIABLES[variable];
+      result[variable] = {};
+      Object.entries(bins).forEach(([bin, stat]) => {
+        result[variable][bin] = {
+          count: stat.count,
+          bias: stat.sumError / stat.count * scale,
+          mae: stat.sumAbsError / stat.count * scale,
+          rmse: Math.sqrt(stat.sumSquaredError / stat.count) * scale
+        };
+      });
+    });
+    return result;
+  }
+
+  // Units of a variable's statistics
+  units(variable) {
+    return VARIABLES[variable] ? VARIABLES[variable].units : null;
+  }
+
+  // The next hours of a forecast (the latest by default) in SignalK units with each variable's bias at that lead
+  // removed; variables whose bin has fewer than minSamples verified forecasts are passed through uncorrected
+  corrected(hourly = this.latest, now = Date.now(), hours = 12) {
+    if (!Array.isArray(hourly)) return [];
+
+    return hourly.filter(entry => entry.time * 1000 + HOUR_MS > now).slice(0, hours).map(entry => {
+      const bin = leadBin(Math.max(0, Math.round((entry.time * 1000 - now) / HOUR_MS)));
+      const values = {};
+      Object.entries(VARIABLES).forEach(([variable, { forecastKey, scale, offset }]) => {
+        if (typeof entry[forecastKey] !== 'number') return;
+
+        const stat = this.stats[variable] && this.stats[variable][bin];
+        let value = entry[forecastKey];
+        if (stat && stat.count >= this.minSamples) {
+          value -= stat.sumError / stat.count;
+        }
+        if (variable === 'windDirection') {
+          value = ((value % 360) + 360) % 360;
+        } else if (variable !== 'airTemperature') {
+          value = Math.max(0, value); // Bias removal never makes wind, pressure or rain negative
+        }
+        values[variable] = value * scale + (offset || 0);
+      });
+      return { time: new Date(entry.time * 1000).toISOString(), values };
+    });
+  }
+}
+
+// Name of the lead time bin a lead in hours falls into, e.g. 4 -> 'h6'
+function leadBin(lead) {
+  return `h${LEAD_BINS.find(limit => lead <= limit) || LEAD_BINS[LEAD_BINS.length - 1]}`;
+}
+
+module.exports = ForecastVerification;
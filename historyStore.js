@@ -0,0 +1,228 @@
+// Local history of published numeric values, kept raw and downsampled to 1 minute, 10 minute and hourly
+// buckets with their own retention, so charts work offline without the server's history provider
+const path = require('path');
+const JsonFile = require('./jsonFile');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Resolutions from finest to coarsest; raw keeps [time, value], the others [time, min, max, sum, count, last]
+// plus [sum of sines, sum of cosines] for directions and angles, whose mean is taken round the circle
+const RESOLUTIONS = [
+  { name: 'raw', bucketMs: 0 },
+  { name: '1m', bucketMs: MINUTE_MS },
+  { name: '10m', bucketMs: 10 * MINUTE_MS },
+  { name: '1h', bucketMs: HOUR_MS }
+];
+
+const AGGREGATES = ['mean', 'min', 'max', 'last'];
+
+// Values recorded by default: the main weather and wind values, by value name (last path segment)
+const DEFAULT_KEYS = [
+  'airTemperature', 'relativeHumidity', 'stationPressure', 'seaLevelPressure', 'dewPoint', 'feelsLike',
+  'windAvg', 'windGust', 'windDirection', 'windSpeed', 'uvIndex', 'solarRadiation', 'rainRate',
+  'accumulationToday', 'speedTrue', 'directionTrue'
+];
+
+class HistoryStore {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.file = options.dataDir
+      ? new JsonFile(app, path.join(options.dataDir, options.fileName || 'history.json'), 'observation history')
+      : null;
+    this.retentionMs = {
+      raw: (options.rawHours || 6) * HOUR_MS,
+      '1m': (options.minuteDays || 1) * DAY_MS,
+      '10m': (options.tenMinuteDays || 30) * DAY_MS,
+      '1h': (options.hourlyDays || 365) * DAY_MS
+    };
+    this.keys = new Set(options.keys && options.keys.length > 0 ? options.keys : DEFAULT_KEYS); // value names or full paths
+    this.series = {}; // path -> { raw: [], '1m': [], '10m': [], '1h': [] }
+
+    this.load();
+  }
+
+  // Restore the downsampled history from the plugin data directory; raw samples are not kept across restarts
+  load() {
+    const saved = this.file ? this.file.read() : null;
+    if (!saved) return;
+
+    Object.entries(saved.series || {}).forEach(([seriesPath, tiers]) => {
+      if (!this.records(seriesPath)) return; // No longer selected
+      this.series[seriesPath] = Object.assign(emptySeries(), tiers, { raw: [] });
+    });
+    this.prune();
+    this.app.debug('Restored observation history from', this.file.filePath);
+  }
+
+  // Write the downsampled history to the plugin data directory
+  save(sync = false) {
+    if (!this.file) return;
+
+    const series = {};
+    Object.entries(this.series).forEach(([seriesPath, tiers]) => {
+      series[seriesPath] = { '1m': tiers['1m'], '10m': tiers['10m'], '1h': tiers['1h'] };
+    });
+    this.file.write({ series }, sync);
+  }
+
+  // Whether a path is selected for recording, by its full path or value name
+  records(seriesPath) {
+    return this.keys.has(seriesPath) || this.keys.has(seriesPath.substring(seriesPath.lastIndexOf('.') + 1));
+  }
+
+  // Add a sample (time in ms); samples of unselected paths and samples older than the path's latest are ignored
+  record(seriesPath, value, time) {
+    if (typeof value !== 'number' || !isFinite(value) || !this.records(seriesPath)) return;
+
+    if (!this.series[seriesPath]) this.series[seriesPath] = emptySeries();
+    const series = this.series[seriesPath];
+    const raw = series.raw;
+    if (raw.length > 0 && time <= raw[raw.length - 1][0]) return;
+    raw.push([time, value]);
+
+    RESOLUTIONS.filter(resolution => resolution.bucketMs > 0).forEach(({ name, bucketMs }) => {
+      const buckets = series[name];
+      const start = Math.floor(time / bucketMs) * bucketMs;
+      const bucket = buckets[buckets.length - 1];
+      if (bucket && bucket[0] === start) {
+        bucket[1] = Math.min(bucket[1], value);
+        bucket[2] = Math.max(bucket[2], value);
+        bucket[3] += value;
+        bucket[4] += 1;
+        bucket[5] = value;
+        if (bucket.length > 6) {
+          bucket[6] += Math.sin(value);
+          bucket[7] += Math.cos(value);
+        }
+      } else if (!bucket || bucket[0] < start) {
+        const created = [start, value, value, value, 1, value];
+        if (isAngular(seriesPath)) created.push(Math.sin(value), Math.cos(value));
+        buckets.push(created);
+      }
+    });
+  }
+
+  // Drop samples and buckets past their retention
+  prune(now = Date.now()) {
+    Object.values(this.series).forEach(series => {
+      RESOLUTIONS.forEach(({ name }) => {
+        const entries = series[name];
+        const cutoff = now - this.retentionMs[name];
+        let keep = 0;
+        while (keep < entries.length && entries[keep][0] < cutoff) keep++;
+        if (keep > 0) entries.splice(0, keep);
+      });
+    });
+  }
+
+  // Recorded paths with the time span each resolution covers
+  paths() {
+    return Object.entries(this.series).map(([seriesPath, series]) => {
+      const spans = {};
+      RESOLUTIONS.forEach(({ name }) => {
+        const entries = series[name];
+        if (entries.length > 0) {
+          spans[name] = {
+            from: new Date(entries[0][0]).toISOString(),
+            to: new Date(entries[entries.length - 1][0]).toISOString()
+          };
+        }
+      });
+      return { path: seriesPath, resolutions: spans };
+    });
+  }
+
+  // Finest resolution whose retention still reaches back to from
+  chooseResolution(from, now = Date.now()) {
+    const resolution = RESOLUTIONS.find(({ name }) => now - from <= this.retentionMs[name]);
+    return resolution ? resolution.name : '1h';
+  }
+
+  // Values of each path between from and to (ms) as [ISO time, value] pairs
+  // Throws an Error with statusCode 400 for unknown resolutions or aggregates
+  query({ paths, from, to, resolution = 'auto', aggregate = 'mean' }) {
+    if (resolution === 'auto') resolution = this.chooseResolution(from);
+    if (!RESOLUTIONS.some(({ name }) => name === resolution)) {
+      throw badRequest(`Unknown resolution ${resolution}; use auto, ${RESOLUTIONS.map(({ name }) => name).join(', ')}`);
+    }
+    if (!AGGREGATES.includes(aggregate)) {
+      throw badRequest(`Unknown aggregate ${aggregate}; use ${AGGREGATES.join(', ')}`);
+    }
+    if (!Array.isArray(paths)) {
+      throw badRequest('paths must be a list of paths');
+    }
+
+    const data = {};
+    paths.forEach(seriesPath => {
+      const entries = this.series[seriesPath] ? this.series[seriesPath][resolution] : [];
+      data[seriesPath] = entries
+        .filter(entry => entry[0] >= from && entry[0] <= to)
+        .map(entry => [new Date(entry[0]).toISOString(),
+          resolution === 'raw' ? entry[1] : aggregateValue(entry, aggregate, seriesPath)]);
+    });
+
+    return {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      resolution,
+      aggregate: resolution === 'raw' ? null : aggregate,
+      data
+    };
+  }
+
+  // A query result as CSV with one time column and one column per path
+  toCsv(result) {
+    const paths = Object.keys(result.data);
+    const rows = new Map(); // ISO time -> values by column
+    paths.forEach((seriesPath, column) => {
+      result.data[seriesPath].forEach(([time, value]) => {
+        if (!rows.has(time)) rows.set(time, new Array(paths.length).fill(''));
+        rows.get(time)[column] = value;
+      });
+    });
+
+    const lines = [['time'].concat(paths).join(',')];
+    Array.from(rows.keys()).sort().forEach(time => {
+      lines.push([time].concat(rows.get(time)).join(','));
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Storage for a newly recorded path
+function emptySeries() {
+  return { raw: [], '1m': [], '10m': [], '1h': [] };
+}
+
+// Whether a path holds an angle in radians, judged by its value name
+function isAngular(seriesPath) {
+  return /direction|angle/i.test(seriesPath.substring(seriesPath.lastIndexOf('.') + 1));
+}
+
+// Value of a bucket for an aggregate; directions average to 0-2π, signed angles to -π-π
+function aggregateValue(bucket, aggregate, seriesPath) {
+  switch (aggregate) {
+    case 'min':
+      return bucket[1];
+    case 'max':
+      return bucket[2];
+    case 'last':
+      return bucket[5];
+    default: {
+      if (bucket.length <= 6) return bucket[3] / bucket[4];
+      const mean = Math.atan2(bucket[6], bucket[7]);
+      return /direction/i.test(seriesPath) && mean < 0 ? mean + 2 * Math.PI : mean;
+    }
+  }
+}
+
+// Error the REST endpoints answer with 400
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = HistoryStore;
@@ -2,15 +2,74 @@ const dgram = require('dgram');
 const WebSocket = require('ws');
 const fetch = require('node-fetch');
 const WindCalculations = require('./windCalculations');
+const SensorStatusMonitor = require('./sensorStatus');
+const LightningTracker = require('./lightningTracker');
+const RainAccumulator = require('./rainAccumulator');
+const PressureTendency = require('./pressureTendency');
+const DeviceRegistry = require('./deviceRegistry');
+const SourceArbiter = require('./sourceArbiter');
+const DataWatchdog = require('./dataWatchdog');
+const DeltaPublisher = require('./deltaPublisher');
+const PathMapper = require('./pathMapper');
+const MetadataRegistry = require('./metadata');
+const WeatherProvider = require('./weatherProvider');
+const ForecastAlerts = require('./forecastAlerts');
+const ForecastVerification = require('./forecastVerification');
+const HistoryStore = require('./historyStore');
+const { calculateThermodynamics } = require('./thermodynamics');
+const { zambrettiForecast } = require('./zambretti');
+
+// Channels watched for stale data and the arbitration channel whose values they carry
+const WATCHDOG_CHANNELS = {
+  udpRapidWind: { label: 'UDP rapid wind', arbiterChannel: 'udp' },
+  udpObservation: { label: 'UDP observations', arbiterChannel: 'udp' },
+  webSocket: { label: 'WebSocket', arbiterChannel: 'websocket' },
+  forecast: { label: 'Forecast' }
+};
+
+// Forecast slots published: hours of the hourly forecast and days of the daily forecast
+const FORECAST_SLOTS = { hourly: 72, daily: 10 };
+
+// Sensor types that may feed each device tracker, best first; the legacy device receives every sensor on the hub
+const TRACKING_PRECEDENCE = {
+  rain: ['ST', 'SK'],
+  lightning: ['ST', 'AR'],
+  pressure: ['ST', 'AR']
+};
 
 module.exports = function(app) {
   const plugin = {};
   let udpServer;
   let wsConnection;
+  let wsReconnectTimer;
+  let wsHeartbeatInterval;
+  let wsStatusInterval;
+  let wsReconnectAttempts = 0;
+  let wsLastMessageTime = null;
+  let wsConnected = false;
+  let wsStopping = false;
   let forecastInterval;
+  let restInterval;
+  let sourceArbiter;
+  let dataWatchdog;
+  let deltaPublisher;
+  let metadataRegistry;
+  let pathMapper;
+  let weatherProvider;
+  let forecastVerification;
+  let historyStore;
+  let historyInterval;
+  let watchdogInterval;
   let windyInterval;
   let windCalculations;
+  let deviceRegistry;
+  let pluginOptions = {};
+  let lightningInterval;
   let navigationSubscriptions = [];
+  let forecastPaths = new Map(); // forecast base path -> paths published by the last forecast
+  let forecastAlerts = new Map(); // station ID -> ForecastAlerts
+  let lastForecastTime = null; // ms of the last successful cloud forecast fetch
+  let batch = null; // updates gathered while a packet is processed, sent as one delta
   
   // Plugin metadata
   plugin.id = 'zennora-signalk-weatherflow';
@@ -46,6 +105,198 @@ module.exports = function(app) {
         description: 'Connect to WeatherFlow WebSocket for real-time data',
         default: true
       },
+      enableWebSocketRapidWind: {
+        type: 'boolean',
+        title: 'Request Rapid Wind over WebSocket',
+        description: 'Send listen_rapid_start so the WebSocket also delivers 3 second rapid wind samples',
+        default: false
+      },
+      webSocketHeartbeat: {
+        type: 'number',
+        title: 'WebSocket Heartbeat Interval (seconds)',
+        description: 'How often to ping the WebSocket; the link is considered dead after two missed intervals',
+        default: 30
+      },
+      webSocketMaxReconnectDelay: {
+        type: 'number',
+        title: 'WebSocket Maximum Reconnect Delay (seconds)',
+        description: 'Upper limit for the exponential reconnect backoff',
+        default: 300
+      },
+      sourcePriority: {
+        type: 'array',
+        title: 'Source Priority',
+        description: 'Order in which UDP, WebSocket and REST observations are preferred when more than one is delivering the same value',
+        items: {
+          type: 'string',
+          enum: ['udp', 'websocket', 'rest'],
+          enumNames: ['Local UDP', 'WebSocket', 'REST API']
+        },
+        default: ['udp', 'websocket', 'rest']
+      },
+      udpStaleTimeout: {
+        type: 'number',
+        title: 'UDP Stale Timeout (seconds)',
+        description: 'Fall back to the next source once UDP has not delivered a value for this long',
+        default: 180
+      },
+      webSocketStaleTimeout: {
+        type: 'number',
+        title: 'WebSocket Stale Timeout (seconds)',
+        description: 'Fall back to the next source once the WebSocket has not delivered a value for this long',
+        default: 180
+      },
+      enableRestFallback: {
+        type: 'boolean',
+        title: 'Enable REST Observation Fallback',
+        description: 'Poll the WeatherFlow REST API for the latest device observation while neither UDP nor the WebSocket is delivering',
+        default: true
+      },
+      restPollInterval: {
+        type: 'number',
+        title: 'REST Fallback Poll Interval (minutes)',
+        description: 'How often to check whether the REST fallback is needed and poll it',
+        default: 5
+      },
+      enableStaleDataWatchdog: {
+        type: 'boolean',
+        title: 'Enable Stale Data Watchdog',
+        description: 'Detect when UDP, WebSocket or forecast data stops arriving, raise a notification and mark the values stale',
+        default: true
+      },
+      staleDataFactor: {
+        type: 'number',
+        title: 'Stale Data Factor (intervals)',
+        description: 'Number of missed report intervals after which a channel is considered stale',
+        default: 3
+      },
+      staleDataAction: {
+        type: 'string',
+        title: 'Stale Data Action',
+        description: 'What to publish for the values of a stale channel',
+        enum: ['nulls', 'flag'],
+        enumNames: ['Publish null values', 'Publish a dataStale flag'],
+        default: 'nulls'
+      },
+      enableStandardPaths: {
+        type: 'boolean',
+        title: 'Publish Standard SignalK Paths',
+        description: 'Also publish the main station\'s observations on the SignalK specification paths, e.g. environment.outside.temperature',
+        default: true
+      },
+      keepLegacyPaths: {
+        type: 'boolean',
+        title: 'Keep Plugin Paths',
+        description: 'Keep publishing mapped values on the plugin paths (environment.outside.tempest.observations.*) for backward compatibility',
+        default: true
+      },
+      standardPathMappings: {
+        type: 'array',
+        title: 'Standard Path Mappings',
+        description: 'Add to, change or disable entries of the default mapping table',
+        items: {
+          type: 'object',
+          required: ['key'],
+          properties: {
+            key: {
+              type: 'string',
+              title: 'Value Name',
+              description: 'Observation value name, e.g. airTemperature or seaLevelPressure'
+            },
+            path: {
+              type: 'string',
+              title: 'SignalK Path',
+              description: 'Path to publish the value on, e.g. environment.outside.pressure'
+            },
+            enabled: {
+              type: 'boolean',
+              title: 'Enabled',
+              description: 'Untick to remove a default mapping',
+              default: true
+            }
+          }
+        },
+        default: []
+      },
+      publishMinInterval: {
+        type: 'number',
+        title: 'Minimum Publish Interval (seconds)',
+        description: 'Publish each path at most this often; 0 publishes every update',
+        default: 0
+      },
+      publishDeadbands: {
+        type: 'array',
+        title: 'Publish Deadbands',
+        description: 'Hold back updates that change a value by less than its deadband',
+        items: {
+          type: 'object',
+          required: ['key', 'deadband'],
+          properties: {
+            key: {
+              type: 'string',
+              title: 'Value Name',
+              description: 'Last path segment of the plugin\'s path, e.g. airTemperature, windSpeed or speedApparent; also applies to its standard path copy'
+            },
+            deadband: {
+              type: 'number',
+              title: 'Deadband',
+              description: 'Minimum change in SignalK units (K, Pa, m/s, rad, ratio) before the value is republished'
+            }
+          }
+        },
+        default: []
+      },
+      publishHeartbeat: {
+        type: 'number',
+        title: 'Deadband Heartbeat (seconds)',
+        description: 'Values held back by a deadband are still republished at least this often',
+        default: 60
+      },
+      metadataZones: {
+        type: 'array',
+        title: 'Alarm Zones',
+        description: 'Replace the default meta zones of a value; the SignalK server raises notifications when a value enters a zone',
+        items: {
+          type: 'object',
+          required: ['key', 'zones'],
+          properties: {
+            key: {
+              type: 'string',
+              title: 'Value Name or Path',
+              description: 'Full path, or last path segment, e.g. speedTrue; airTemperature, uvIndex and the zoned wind speed replace the defaults on their one path only'
+            },
+            zones: {
+              type: 'array',
+              title: 'Zones',
+              items: {
+                type: 'object',
+                required: ['state'],
+                properties: {
+                  lower: {
+                    type: 'number',
+                    title: 'Lower Limit (SignalK units)'
+                  },
+                  upper: {
+                    type: 'number',
+                    title: 'Upper Limit (SignalK units)'
+                  },
+                  state: {
+                    type: 'string',
+                    title: 'State',
+                    enum: ['nominal', 'normal', 'alert', 'warn', 'alarm', 'emergency'],
+                    default: 'warn'
+                  },
+                  message: {
+                    type: 'string',
+                    title: 'Message'
+                  }
+                }
+              }
+            }
+          }
+        },
+        default: []
+      },
       enableForecast: {
         type: 'boolean',
         title: 'Enable Forecast Data',
@@ -58,17 +309,381 @@ module.exports = function(app) {
         description: 'How often to fetch forecast data',
         default: 30
       },
+      enableLocalForecast: {
+        type: 'boolean',
+        title: 'Enable Offline Barometric Forecast',
+        description: 'Publish a Zambretti forecast worked out from the local pressure history and wind, for when the cloud forecast is unavailable',
+        default: true
+      },
+      enableForecastAlerts: {
+        type: 'boolean',
+        title: 'Enable Forecast Alerts',
+        description: 'Raise notifications when the hourly forecast crosses the alert rules within their lookahead',
+        default: true
+      },
+      forecastAlertRules: {
+        type: 'array',
+        title: 'Forecast Alert Rules',
+        description: 'Rules with the id of a default rule (gust, rain, windShift, freezing, thunderstorm) replace it; other ids add rules',
+        items: {
+          type: 'object',
+          required: ['id', 'metric'],
+          properties: {
+            id: {
+              type: 'string',
+              title: 'Rule ID',
+              description: 'Last segment of the notification path'
+            },
+            metric: {
+              type: 'string',
+              title: 'Forecast Value',
+              enum: ['windGust', 'windAvg', 'precipProbability', 'airTemperature', 'windShift', 'thunderstorm'],
+              enumNames: ['Gust (kn)', 'Wind (kn)', 'Precipitation probability (%)', 'Air temperature (°C)', 'Wind direction shift from now (degrees)', 'Thunderstorm conditions'],
+              default: 'windGust'
+            },
+            condition: {
+              type: 'string',
+              title: 'Condition',
+              enum: ['above', 'below'],
+              default: 'above'
+            },
+            threshold: {
+              type: 'number',
+              title: 'Threshold',
+              description: 'In the units of the forecast value; ignored for thunderstorms'
+            },
+            lookaheadHours: {
+              type: 'number',
+              title: 'Lookahead (hours)',
+              default: 6
+            },
+            state: {
+              type: 'string',
+              title: 'Notification State',
+              enum: ['alert', 'warn', 'alarm'],
+              default: 'warn'
+            },
+            enabled: {
+              type: 'boolean',
+              title: 'Enabled',
+              description: 'Untick to remove a default rule',
+              default: true
+            }
+          }
+        },
+        default: []
+      },
+      enableForecastVerification: {
+        type: 'boolean',
+        title: 'Enable Forecast Verification',
+        description: 'Compare each hourly forecast with the main station\'s UDP observations and publish bias and error statistics',
+        default: true
+      },
+      enableHistory: {
+        type: 'boolean',
+        title: 'Enable Local History',
+        description: 'Keep a local history of the main weather and wind values for the plugin\'s history endpoints',
+        default: true
+      },
+      historyRawHours: {
+        type: 'number',
+        title: 'History: Raw Sample Retention (hours)',
+        description: 'How long every sample is kept; raw samples are not kept across restarts',
+        default: 6
+      },
+      historyMinuteDays: {
+        type: 'number',
+        title: 'History: 1 Minute Retention (days)',
+        default: 1
+      },
+      historyTenMinuteDays: {
+        type: 'number',
+        title: 'History: 10 Minute Retention (days)',
+        default: 30
+      },
+      historyHourlyDays: {
+        type: 'number',
+        title: 'History: Hourly Retention (days)',
+        default: 365
+      },
+      historyKeys: {
+        type: 'array',
+        title: 'History: Recorded Values',
+        description: 'Value names (last path segment, e.g. airTemperature) or full plugin paths (e.g. environment.outside.tempest.observations.airTemperature, not standard paths such as environment.outside.temperature) to record; leave empty for the main weather and wind values',
+        items: {
+          type: 'string'
+        },
+        default: []
+      },
+      enableWeatherProvider: {
+        type: 'boolean',
+        title: 'Enable Weather API Provider',
+        description: 'Serve the main station\'s observations and forecast to SignalK Weather API clients such as Freeboard-SK',
+        default: true
+      },
+      stationMode: {
+        type: 'string',
+        title: 'Station Mode',
+        description: 'Onboard: the sensor rides on the vessel and wind direction is relative to the bow. Fixed: a shore or mooring station whose wind direction is a true bearing',
+        enum: ['onboard', 'fixed'],
+        enumNames: ['Onboard (vessel-mounted)', 'Fixed shore station'],
+        default: 'onboard'
+      },
+      stationLatitude: {
+        type: 'number',
+        title: 'Fixed Station Latitude',
+        description: 'Latitude of a fixed station in decimal degrees'
+      },
+      stationLongitude: {
+        type: 'number',
+        title: 'Fixed Station Longitude',
+        description: 'Longitude of a fixed station in decimal degrees'
+      },
+      stationElevation: {
+        type: 'number',
+        title: 'Fixed Station Elevation (m)',
+        description: 'Height of a fixed station above sea level, used for sea-level pressure when no pressure sensor height is set',
+        default: 0
+      },
+      nearbyDistance: {
+        type: 'number',
+        title: 'Nearby Vessel Distance (m)',
+        description: 'In fixed station mode, the expected apparent wind is calculated while the vessel is within this distance of the station',
+        default: 5000
+      },
       enableWindCalculations: {
         type: 'boolean',
         title: 'Enable Wind Calculations',
         description: 'Calculate true wind from apparent wind',
         default: true
       },
+      feelsLikeModel: {
+        type: 'string',
+        title: 'Feels-Like Temperature Model',
+        description: 'NWS uses wind chill below 10 °C and heat index above 27 °C; Apparent Temperature uses the Steadman/Australian BoM formula with wind and solar radiation',
+        enum: ['nws', 'apparentTemperature'],
+        enumNames: ['NWS wind chill / heat index', 'Apparent Temperature (Steadman)'],
+        default: 'nws'
+      },
+      apparentTemperatureSolarFactor: {
+        type: 'number',
+        title: 'Apparent Temperature Solar Factor',
+        description: 'Fraction of the measured solar radiation taken as absorbed by a person in the apparent temperature; an estimate, 0 ignores radiation',
+        default: 0.1
+      },
+      windSensorHeight: {
+        type: 'number',
+        title: 'Wind Sensor Height (m)',
+        description: 'Height of the anemometer above the water, used to scale wind to the 10 m reference height',
+        default: 10
+      },
+      windAngleOffset: {
+        type: 'number',
+        title: 'Wind Sensor Angle Offset (degrees)',
+        description: 'Added to the reported wind direction to correct for the sensor mounting rotation (positive = clockwise); with a device list, used for the onboard device feeding wind calculations unless it has its own',
+        default: 0
+      },
+      windProfile: {
+        type: 'string',
+        title: 'Wind Profile',
+        description: 'Vertical wind profile used to normalise wind speed to the 10 m reference height',
+        enum: ['powerLaw', 'logarithmic'],
+        enumNames: ['Power law (1/7 exponent)', 'Logarithmic (roughness length)'],
+        default: 'powerLaw'
+      },
+      windRoughnessLength: {
+        type: 'number',
+        title: 'Surface Roughness Length (m)',
+        description: 'Roughness length for the logarithmic wind profile; 0.0002 for open sea',
+        default: 0.0002
+      },
+      anchorShiftThreshold: {
+        type: 'number',
+        title: 'Anchor Wind Shift Alert (degrees)',
+        description: 'In anchor mode, warn when the true wind has shifted this much since anchoring',
+        default: 45
+      },
+      navigationStaleTimeout: {
+        type: 'number',
+        title: 'Navigation Data Timeout (seconds)',
+        description: 'Navigation inputs older than this are ignored and the true wind calculation falls back to the next best source',
+        default: 10
+      },
+      enableMotionCompensation: {
+        type: 'boolean',
+        title: 'Enable Mast-Head Motion Compensation',
+        description: 'Remove the apparent wind caused by the sensor swinging with roll, pitch and yaw (needs navigation.attitude and navigation.rateOfTurn)',
+        default: false
+      },
+      sensorHeightAboveRotation: {
+        type: 'number',
+        title: 'Sensor Height Above Centre of Rotation (m)',
+        description: 'Vertical distance from the roll/pitch centre (roughly the waterline) to the wind sensor',
+        default: 0
+      },
+      sensorForwardOffset: {
+        type: 'number',
+        title: 'Sensor Forward Offset (m)',
+        description: 'Distance of the wind sensor forward of the centre of rotation (negative = aft)',
+        default: 0
+      },
+      sensorStarboardOffset: {
+        type: 'number',
+        title: 'Sensor Starboard Offset (m)',
+        description: 'Distance of the wind sensor to starboard of the centreline (negative = port)',
+        default: 0
+      },
       deviceId: {
         type: 'number',
         title: 'WeatherFlow Device ID',
         description: 'Your WeatherFlow device ID for WebSocket connection',
         default: 405588
+      },
+      devices: {
+        type: 'array',
+        title: 'WeatherFlow Devices',
+        description: 'Leave empty for a single station on the original paths. With devices listed, packets are matched by serial number and each device publishes under its own path prefix',
+        items: {
+          type: 'object',
+          required: ['serialNumber'],
+          properties: {
+            serialNumber: {
+              type: 'string',
+              title: 'Serial Number',
+              description: 'Device serial number, e.g. ST-00012345 or AR-00004321'
+            },
+            name: {
+              type: 'string',
+              title: 'Name',
+              description: 'Name used in notification messages'
+            },
+            pathPrefix: {
+              type: 'string',
+              title: 'Path Prefix',
+              description: 'SignalK path prefix, e.g. environment.outside.marina; leave empty to use the original single-station paths'
+            },
+            role: {
+              type: 'string',
+              title: 'Role',
+              enum: ['onboard', 'shore'],
+              enumNames: ['Onboard (vessel-mounted)', 'Shore station'],
+              default: 'onboard'
+            },
+            feedsWindCalculations: {
+              type: 'boolean',
+              title: 'Feeds Wind Calculations',
+              description: 'Use this device\'s wind for the environment.wind values; enable for one device only',
+              default: false
+            },
+            deviceId: {
+              type: 'number',
+              title: 'WeatherFlow Device ID',
+              description: 'Device ID for the WebSocket connection; leave empty to skip this device on the WebSocket'
+            },
+            stationId: {
+              type: 'number',
+              title: 'WeatherFlow Station ID',
+              description: 'Station ID for forecast fetching; leave empty to skip forecasts for this device'
+            },
+            windAngleOffset: {
+              type: 'number',
+              title: 'Wind Angle Offset (degrees)',
+              description: 'Added to this device\'s wind direction to correct for its mounting rotation (positive = clockwise); leave empty for none, or for the global offset on the onboard device feeding wind calculations'
+            }
+          }
+        }
+      },
+      unknownDevices: {
+        type: 'string',
+        title: 'Unknown Devices',
+        description: 'What to do with packets from serial numbers missing from the device list',
+        enum: ['ignore', 'discover'],
+        enumNames: ['Ignore', 'Discover and publish under environment.outside.weatherflow.<serial>'],
+        default: 'ignore'
+      },
+      batteryWarnVoltage: {
+        type: 'number',
+        title: 'Tempest Battery Warning Voltage (V)',
+        description: 'Raise a warning notification when the Tempest battery drops to this voltage',
+        default: 2.41
+      },
+      batteryAlarmVoltage: {
+        type: 'number',
+        title: 'Tempest Battery Alarm Voltage (V)',
+        description: 'Raise an alarm notification when the Tempest battery drops to this voltage',
+        default: 2.355
+      },
+      enableLightningTracking: {
+        type: 'boolean',
+        title: 'Enable Lightning Tracking',
+        description: 'Track strike rate, nearest strike and storm approach, and raise lightning notifications',
+        default: true
+      },
+      lightningWindow: {
+        type: 'number',
+        title: 'Lightning Tracking Window (minutes)',
+        description: 'How far back strikes are kept for rate, nearest distance and trend',
+        default: 30
+      },
+      lightningWarnDistance: {
+        type: 'number',
+        title: 'Lightning Warning Distance (km)',
+        description: 'Raise a warning when a strike is detected within this distance',
+        default: 20
+      },
+      lightningAlarmDistance: {
+        type: 'number',
+        title: 'Lightning Alarm Distance (km)',
+        description: 'Raise an alarm when a strike is detected within this distance',
+        default: 10
+      },
+      lightningWarnArrival: {
+        type: 'number',
+        title: 'Lightning Arrival Warning (minutes)',
+        description: 'Raise a warning when an approaching storm is estimated to arrive within this time',
+        default: 30
+      },
+      lightningAllClear: {
+        type: 'number',
+        title: 'Lightning All-Clear Period (minutes)',
+        description: 'Clear the lightning notification after this long without a close strike',
+        default: 30
+      },
+      enableRainTracking: {
+        type: 'boolean',
+        title: 'Enable Rain Accumulation Tracking',
+        description: 'Keep persistent rain totals, rainfall rate and rain start/stop events',
+        default: true
+      },
+      rainStopMinutes: {
+        type: 'number',
+        title: 'Rain Stop Delay (minutes)',
+        description: 'Minutes without rain before rain is considered to have stopped',
+        default: 15
+      },
+      enablePressureTendency: {
+        type: 'boolean',
+        title: 'Enable Pressure Tendency',
+        description: 'Compute sea-level pressure and pressure tendency from local station pressure',
+        default: true
+      },
+      pressureSensorHeight: {
+        type: 'number',
+        title: 'Pressure Sensor Height (m)',
+        description: 'Height of the station above sea level for sea-level pressure reduction; 0 uses the vessel design.airHeight if available',
+        default: 0
+      },
+      pressureRapidFall: {
+        type: 'number',
+        title: 'Rapid Pressure Fall Threshold (hPa per hour)',
+        description: 'Raise a rapid pressure fall notification when pressure drops by this much within an hour',
+        default: 2
+      },
+      enableDerivedThermodynamics: {
+        type: 'boolean',
+        title: 'Enable Derived Thermodynamic Values',
+        description: 'Compute dew point, wet bulb, delta T, air density and absolute humidity from local observations',
+        default: true
       }
     }
   };
@@ -77,11 +692,130 @@ module.exports = function(app) {
   plugin.start = function(options, restartPlugin) {
     app.debug('Starting WeatherFlow plugin with options:', options);
     app.setProviderStatus('Initializing WeatherFlow plugin...');
+    pluginOptions = options;
+    
+    // Map device serial numbers to names, path prefixes and roles
+    deviceRegistry = new DeviceRegistry(app, {
+      devices: options.devices,
+      unknownDevices: options.unknownDevices,
+      stationMode: options.stationMode,
+      windAngleOffset: options.windAngleOffset,
+      deviceId: options.deviceId || 405588,
+      stationId: options.stationId
+    });
+    
+    // Map the outdoor station's observations onto the standard SignalK paths
+    const outdoorPath = outdoorObservationPath();
+    if (options.enableStandardPaths !== false) {
+      pathMapper = new PathMapper(app, {
+        basePaths: outdoorPath ? [outdoorPath] : [],
+        mappings: options.standardPathMappings,
+        keepLegacyPaths: options.keepLegacyPaths
+      });
+    }
+    
+    // Batch, rate limit and deadband everything the plugin publishes, with full metadata on first sight of each path
+    metadataRegistry = new MetadataRegistry({
+      batteryWarnVoltage: options.batteryWarnVoltage,
+      batteryAlarmVoltage: options.batteryAlarmVoltage,
+      zonePaths: defaultZonePaths(options, outdoorPath),
+      zoneOverrides: options.metadataZones
+    });
+    deltaPublisher = new DeltaPublisher(app, {
+      minInterval: options.publishMinInterval,
+      deadbands: options.publishDeadbands,
+      valueName: pathMapper ? path => pathMapper.valueName(path) : undefined, // Standard path copies share the deadband
+      heartbeat: options.publishHeartbeat,
+      metadata: metadataRegistry
+    });
+    
+    // Serve the main station through the SignalK Weather API
+    if (options.enableWeatherProvider !== false) {
+      const device = mainDevice();
+      const observationPaths = ['obs_st', 'obs_sky']
+        .map(messageType => deviceRegistry.paths(device, messageType).observations)
+        .filter((path, index, list) => list.indexOf(path) === index);
+      
+      weatherProvider = new WeatherProvider(app, {
+        observationPaths,
+        rainPath: deviceRegistry.paths(device).rain,
+        fixedStation: device.role === 'shore',
+        stationId: device.stationId
+      });
+      weatherProvider.register();
+    }
+    
+    // Keep a local history for the history endpoints, saved every 10 minutes
+    if (options.enableHistory !== false) {
+      historyStore = new HistoryStore(app, {
+        dataDir: app.getDataDirPath(),
+        rawHours: options.historyRawHours,
+        minuteDays: options.historyMinuteDays,
+        tenMinuteDays: options.historyTenMinuteDays,
+        hourlyDays: options.historyHourlyDays,
+        keys: options.historyKeys
+      });
+      historyInterval = setInterval(() => {
+        historyStore.prune();
+        historyStore.save();
+      }, 10 * 60 * 1000);
+    }
+    
+    // Verify the main station's forecast against its own observations
+    if (options.enableForecastVerification !== false && options.enableForecast && mainDevice().stationId) {
+      forecastVerification = new ForecastVerification(app, {
+        dataDir: app.getDataDirPath(),
+        verifyDirection: mainDevice().role === 'shore'
+      });
+      publishVerification();
+    }
+    
+    // Choose between UDP, WebSocket and REST values written to the same paths
+    sourceArbiter = new SourceArbiter(app, {
+      priority: options.sourcePriority,
+      udpStaleSeconds: options.udpStaleTimeout,
+      webSocketStaleSeconds: options.webSocketStaleTimeout,
+      restStaleSeconds: (options.restPollInterval || 5) * 60 * 3
+    });
+    
+    // Watch every data channel for packets that stop arriving
+    if (options.enableStaleDataWatchdog !== false) {
+      dataWatchdog = new DataWatchdog(app, { staleFactor: options.staleDataFactor });
+      watchdogInterval = setInterval(checkStaleData, 5000);
+    }
+    
+    // Register the rain marker PUT handlers up front; discovered devices register theirs on first use
+    if (options.enableRainTracking !== false) {
+      deviceRegistry.all().forEach(registerRainMarkerPutHandler);
+    }
+    
+    // Re-evaluate lightning regularly so strikes age out and the all-clear fires without new strikes
+    if (options.enableLightningTracking !== false) {
+      lightningInterval = setInterval(() => {
+        deviceRegistry.all().forEach(publishLightningTracking);
+      }, 60 * 1000);
+    }
     
     // Initialize wind calculations if enabled
     if (options.enableWindCalculations) {
-      windCalculations = new WindCalculations(app);
+      windCalculations = new WindCalculations(app, {
+        feelsLikeModel: options.feelsLikeModel,
+        solarAbsorbedFraction: options.apparentTemperatureSolarFactor,
+        sensorHeight: options.windSensorHeight,
+        windProfile: options.windProfile,
+        roughnessLength: options.windRoughnessLength,
+        motionCompensation: options.enableMotionCompensation,
+        sensorHeightAboveRotation: options.sensorHeightAboveRotation,
+        sensorForwardOffset: options.sensorForwardOffset,
+        sensorStarboardOffset: options.sensorStarboardOffset,
+        navigationStaleSeconds: options.navigationStaleTimeout,
+        anchorShiftThreshold: options.anchorShiftThreshold,
+        stationLatitude: options.stationLatitude,
+        stationLongitude: options.stationLongitude,
+        nearbyDistance: options.nearbyDistance
+      });
       setupNavigationSubscriptions();
+      registerAnchorModePutHandler();
     }
     
     // Initialize UDP server for WeatherFlow broadcasts
@@ -91,14 +825,20 @@ module.exports = function(app) {
     
     // Initialize WebSocket connection
     if (options.enableWebSocket && options.apiToken) {
-      startWebSocketConnection(options.apiToken, options.deviceId);
+      wsStopping = false;
+      startWebSocketConnection(options);
     }
     
     // Initialize forecast data fetching
-    if (options.enableForecast && options.apiToken && options.stationId) {
+    if (options.enableForecast && options.apiToken) {
       startForecastFetching(options);
     }
     
+    // Initialize REST polling for when UDP and the WebSocket are both down
+    if (options.enableRestFallback !== false && options.apiToken) {
+      startRestFallback(options);
+    }
+    
     app.debug('WeatherFlow plugin started successfully');
     app.setProviderStatus('WeatherFlow plugin running');
   };
@@ -112,16 +852,32 @@ module.exports = function(app) {
       udpServer = null;
     }
     
-    if (wsConnection) {
-      wsConnection.close();
-      wsConnection = null;
-    }
+    stopWebSocketConnection();
     
     if (forecastInterval) {
       clearInterval(forecastInterval);
       forecastInterval = null;
     }
     
+    if (restInterval) {
+      clearInterval(restInterval);
+      restInterval = null;
+    }
+    sourceArbiter = null;
+    
+    if (watchdogInterval) {
+      clearInterval(watchdogInterval);
+      watchdogInterval = null;
+    }
+    dataWatchdog = null;
+    deltaPublisher = null;
+    metadataRegistry = null;
+    pathMapper = null;
+    weatherProvider = null;
+    forecastPaths = new Map();
+    forecastAlerts = new Map();
+    lastForecastTime = null;
+    
     if (windyInterval) {
       clearInterval(windyInterval);
       windyInterval = null;
@@ -134,10 +890,235 @@ module.exports = function(app) {
       }
     });
     navigationSubscriptions = [];
+    windCalculations = null; // The anchor mode PUT handler stays registered and must not reach a stopped instance
+    
+    if (lightningInterval) {
+      clearInterval(lightningInterval);
+      lightningInterval = null;
+    }
+    
+    // Save every device's rain totals before the process can exit
+    if (deviceRegistry) {
+      deviceRegistry.all().forEach(device => {
+        if (device.state && device.state.rainAccumulator) {
+          device.state.rainAccumulator.save(true);
+        }
+      });
+      deviceRegistry = null;
+    }
+    
+    if (forecastVerification) {
+      forecastVerification.save(true);
+      forecastVerification = null;
+    }
+    
+    if (historyInterval) {
+      clearInterval(historyInterval);
+      historyInterval = null;
+    }
+    if (historyStore) {
+      historyStore.save(true);
+      historyStore = null;
+    }
     
     app.debug('WeatherFlow plugin stopped');
   };
 
+  // REST endpoints under /plugins/zennora-signalk-weatherflow
+  plugin.registerWithRouter = function(router) {
+    // Forecast verification statistics and the bias-corrected next hours
+    router.get('/verification', (req, res) => {
+      if (!forecastVerification) {
+        res.status(404).json({ error: 'Forecast verification is not running' });
+        return;
+      }
+      
+      const statistics = forecastVerification.statistics();
+      const units = {};
+      Object.keys(statistics).forEach(variable => {
+        units[variable] = forecastVerification.units(variable);
+      });
+      res.json({ units, statistics, corrected: forecastVerification.corrected() });
+    });
+    
+    // Recorded paths and the time span of each resolution
+    router.get('/history/paths', (req, res) => {
+      if (!historyStore) {
+        res.status(404).json({ error: 'Local history is not enabled' });
+        return;
+      }
+      res.json(historyStore.paths());
+    });
+    
+    // History of one or more paths, e.g. ?paths=a,b&from=<ISO>&to=<ISO>&resolution=10m&aggregate=max&format=csv
+    router.get('/history', (req, res) => {
+      if (!historyStore) {
+        res.status(404).json({ error: 'Local history is not enabled' });
+        return;
+      }
+      
+      // Repeated parameters (?paths=a&paths=b) arrive as an array
+      if (req.query.paths !== undefined && typeof req.query.paths !== 'string') {
+        res.status(400).json({ error: 'paths must be one comma separated list' });
+        return;
+      }
+      
+      const paths = (req.query.paths || '').split(',').map(path => path.trim()).filter(path => path);
+      const to = req.query.to ? Date.parse(req.query.to) : Date.now();
+      const from = req.query.from ? Date.parse(req.query.from) : to - 24 * 60 * 60 * 1000;
+      if (paths.length === 0 || isNaN(from) || isNaN(to)) {
+        res.status(400).json({ error: 'paths is required; from and to must be ISO 8601 times' });
+        return;
+      }
+      
+      try {
+        const result = historyStore.query({
+          paths,
+          from,
+          to,
+          resolution: req.query.resolution || 'auto',
+          aggregate: req.query.aggregate || 'mean'
+        });
+        
+        if (req.query.format === 'csv') {
+          res.type('text/csv').send(historyStore.toCsv(result));
+        } else {
+          res.json(result);
+        }
+      } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+      }
+    });
+  };
+
+  // The device whose observations feed wind calculations, the Weather API and forecast verification
+  function mainDevice() {
+    return deviceRegistry.all().find(device => device.feedsWindCalculations) || deviceRegistry.all()[0];
+  }
+
+  // Observation path of the main device, whose values stand for the outside conditions; null when it is an AIR,
+  // which may well be in the cabin. The legacy device takes only the Tempest's, as the AIR and Sky share it
+  function outdoorObservationPath() {
+    const device = mainDevice();
+    const sensorType = deviceRegistry.sensorType(device.serialNumber, 'obs_st');
+    if (sensorType === 'AR') return null;
+    return deviceRegistry.paths(device, sensorType === 'SK' ? 'obs_sky' : 'obs_st').observations;
+  }
+
+  // The one path per quantity that carries the default alarm zones, with the value name it is published from:
+  // the 10 m wind speed (the outdoor station's average without wind calculations), the outside temperature where
+  // it is published and the outdoor UV index
+  function defaultZonePaths(options, outdoorPath) {
+    const observation = key => (outdoorPath ? { path: `${outdoorPath}.${key}`, key } : null);
+    const mappedTemperature = pathMapper && pathMapper.mappedPath('airTemperature');
+    
+    return {
+      windSpeed: options.enableWindCalculations ? { path: 'environment.wind.speedTrue10m', key: 'speedTrue10m' } : observation('windAvg'),
+      temperature: mappedTemperature ? { path: mappedTemperature, key: 'airTemperature' } : observation('airTemperature'),
+      uvIndex: observation('uvIndex')
+    };
+  }
+
+  // Vessel latitude from navigation.position, or null when unknown
+  function getVesselLatitude() {
+    const position = app.getSelfPath('navigation.position');
+    const value = position && position.value !== undefined ? position.value : position;
+    return value && typeof value.latitude === 'number' ? value.latitude : null;
+  }
+
+  // Vessel height above the waterline from design.airHeight, used as a default sensor height
+  function getVesselAirHeight() {
+    const airHeight = app.getSelfPath('design.airHeight');
+    if (airHeight && typeof airHeight.value === 'number') return airHeight.value;
+    return typeof airHeight === 'number' ? airHeight : 0;
+  }
+
+  // Lightning, rain and pressure monitors for a device, created on first use
+  function getDeviceState(device) {
+    if (device.state) return device.state;
+    
+    const options = pluginOptions;
+    const notificationPrefix = deviceRegistry.notificationPrefix(device);
+    const state = { sensors: new Map() }; // sensor type -> sensor state
+    
+    if (options.enableLightningTracking !== false) {
+      state.lightningTracker = new LightningTracker(app, {
+        windowMinutes: options.lightningWindow,
+        warnDistance: options.lightningWarnDistance,
+        alarmDistance: options.lightningAlarmDistance,
+        warnArrivalMinutes: options.lightningWarnArrival,
+        allClearMinutes: options.lightningAllClear,
+        notificationPath: notificationPrefix ? `${notificationPrefix}.lightning` : undefined
+      });
+    }
+    
+    if (options.enableRainTracking !== false) {
+      state.rainAccumulator = new RainAccumulator(app, {
+        dataDir: app.getDataDirPath(),
+        fileName: device.pathPrefix ? `rainAccumulation-${device.serialNumber.replace(/[^A-Za-z0-9]/g, '')}.json` : undefined,
+        rainStopMinutes: options.rainStopMinutes,
+        notificationPath: notificationPrefix ? `${notificationPrefix}.rain` : undefined
+      });
+    }
+    
+    if (options.enablePressureTendency !== false) {
+      state.pressureTendency = new PressureTendency(app, {
+        sensorHeight: options.pressureSensorHeight ||
+          (device.role === 'shore' ? options.stationElevation : getVesselAirHeight()),
+        rapidFallThreshold: options.pressureRapidFall,
+        notificationPath: notificationPrefix ? `${notificationPrefix}.pressure.rapidFall` : undefined
+      });
+    }
+    
+    device.state = state;
+    
+    if (state.rainAccumulator && device.discovered) {
+      registerRainMarkerPutHandler(device);
+    }
+    
+    return state;
+  }
+
+  // Status monitor and wind sample interval of one sensor type of a device; the legacy device receives a hub's
+  // Tempest, AIR and Sky alike, and each keeps its own. Also records the type for the tracking precedence
+  function getSensorState(device, sensorType) {
+    const state = getDeviceState(device);
+    device.sensorTypes.add(sensorType);
+    
+    if (!state.sensors.has(sensorType)) {
+      const notificationPrefix = deviceRegistry.notificationPrefix(device);
+      state.sensors.set(sensorType, {
+        sensorStatusMonitor: new SensorStatusMonitor(app, {
+          batteryWarnVoltage: pluginOptions.batteryWarnVoltage,
+          batteryAlarmVoltage: pluginOptions.batteryAlarmVoltage,
+          notificationBase: notificationPrefix || undefined,
+          label: device.name
+        }),
+        windSampleInterval: null
+      });
+    }
+    return state.sensors.get(sensorType);
+  }
+
+  // Whether a sensor type feeds a device tracker: only the best ranked type the device has reported does, so
+  // a Tempest and a Sky on one hub never both count the same rain
+  function feedsTracking(device, sensorType, tracker) {
+    return TRACKING_PRECEDENCE[tracker].find(type => device.sensorTypes.has(type)) === sensorType;
+  }
+
+  // Allow anchor mode to be switched with a PUT to environment.wind.anchorMode
+  function registerAnchorModePutHandler() {
+    app.registerPutHandler('vessels.self', 'environment.wind.anchorMode', (context, path, value) => {
+      if (!windCalculations) {
+        return { state: 'COMPLETED', statusCode: 503, message: 'Wind calculations are not running' };
+      }
+      
+      windCalculations.setAnchorMode(value === true || value === 1 || value === 'true');
+      sendDirect(createSignalKDelta('environment.wind.anchorMode', windCalculations.anchorSet, 'mqtt-weatherflow-derived'));
+      return { state: 'COMPLETED', statusCode: 200 };
+    }, plugin.id);
+  }
+
   // Setup navigation data subscriptions for wind calculations
   function setupNavigationSubscriptions() {
     if (!windCalculations) return;
@@ -147,8 +1128,18 @@ module.exports = function(app) {
       'navigation.headingMagnetic',
       'navigation.courseOverGroundMagnetic',
       'navigation.speedOverGround',
-      'environment.outside.tempest.observations.airTemperature',
-      'environment.outside.tempest.observations.relativeHumidity'
+      'navigation.courseOverGroundTrue',
+      'navigation.speedThroughWater',
+      'navigation.leewayAngle',
+      'navigation.magneticVariation',
+      'environment.current',
+      'environment.current.drift',
+      'environment.current.setTrue',
+      'navigation.attitude',
+      'navigation.position',
+      'navigation.anchor.position',
+      'navigation.anchor.currentRadius',
+      'navigation.rateOfTurn'
     ];
     
     subscriptions.forEach(path => {
@@ -172,7 +1163,7 @@ module.exports = function(app) {
     udpServer.on('message', (msg, rinfo) => {
       try {
         const data = JSON.parse(msg.toString());
-        processWeatherFlowMessage(data, options);
+        inBatch(() => processWeatherFlowMessage(data, options));
       } catch (error) {
         app.debug('Error parsing UDP message:', error);
       }
@@ -188,123 +1179,592 @@ module.exports = function(app) {
   }
 
   // Start WebSocket connection to WeatherFlow
-  function startWebSocketConnection(token, deviceId) {
-    const wsUrl = `wss://ws.weatherflow.com/swd/data?token=${token}`;
+  function startWebSocketConnection(options) {
+    const wsUrl = `wss://ws.weatherflow.com/swd/data?token=${options.apiToken}`;
+    const heartbeatMs = (options.webSocketHeartbeat || 30) * 1000;
     
     wsConnection = new WebSocket(wsUrl);
+    const socket = wsConnection;
     
-    wsConnection.on('open', () => {
+    socket.on('open', () => {
       app.debug('WeatherFlow WebSocket connected');
+      wsConnected = true;
+      wsReconnectAttempts = 0;
+      wsLastMessageTime = Date.now();
       
-      // Request data for device
-      const request = {
-        type: 'listen_start',
-        device_id: deviceId || 405588,
-        id: Date.now().toString()
-      };
-      wsConnection.send(JSON.stringify(request));
+      // Request data for each device with a device ID; repeated after every reconnect
+      let requestId = Date.now();
+      deviceRegistry.all().forEach(device => {
+        if (!device.deviceId) return;
+        
+        socket.send(JSON.stringify({
+          type: 'listen_start',
+          device_id: device.deviceId,
+          id: (requestId++).toString()
+        }));
+        
+        if (options.enableWebSocketRapidWind) {
+          socket.send(JSON.stringify({
+            type: 'listen_rapid_start',
+            device_id: device.deviceId,
+            id: (requestId++).toString()
+          }));
+        }
+      });
+      
+      startWebSocketHeartbeat(socket, heartbeatMs);
+      updateProviderStatus();
+    });
+    
+    socket.on('message', (data) => {
+      wsLastMessageTime = Date.now();
+      try {
+        const message = JSON.parse(data);
+        inBatch(() => processWebSocketMessage(message, options));
+      } catch (error) {
+        app.debug('Error parsing WebSocket message:', error);
+      }
+    });
+    
+    socket.on('pong', () => {
+      wsLastMessageTime = Date.now();
+    });
+    
+    socket.on('error', (error) => {
+      app.error('WebSocket error:', error);
+    });
+    
+    socket.on('close', (code) => {
+      app.debug(`WebSocket connection closed (code ${code})`);
+      if (socket !== wsConnection) return; // Superseded socket
+      
+      wsConnected = false;
+      stopWebSocketHeartbeat();
+      wsConnection = null;
+      
+      if (!wsStopping) {
+        scheduleWebSocketReconnect(options);
+      }
+    });
+    
+    // Refresh the status line so the last-message age stays current
+    if (!wsStatusInterval) {
+      wsStatusInterval = setInterval(updateProviderStatus, 10000);
+    }
+  }
+
+  // Ping the socket periodically and terminate it if the link has gone quiet
+  function startWebSocketHeartbeat(socket, heartbeatMs) {
+    stopWebSocketHeartbeat();
+    
+    wsHeartbeatInterval = setInterval(() => {
+      if (Date.now() - wsLastMessageTime > heartbeatMs * 2) {
+        app.debug('WebSocket heartbeat missed, terminating connection');
+        socket.terminate(); // Emits close, which schedules the reconnect
+        return;
+      }
+      
+      try {
+        socket.ping();
+      } catch (error) {
+        app.debug('Error sending WebSocket ping:', error);
+      }
+    }, heartbeatMs);
+  }
+
+  function stopWebSocketHeartbeat() {
+    if (wsHeartbeatInterval) {
+      clearInterval(wsHeartbeatInterval);
+      wsHeartbeatInterval = null;
+    }
+  }
+
+  // Reconnect with exponential backoff and jitter
+  function scheduleWebSocketReconnect(options) {
+    if (wsReconnectTimer) return;
+    
+    const maxDelayMs = (options.webSocketMaxReconnectDelay || 300) * 1000;
+    const baseDelayMs = Math.min(maxDelayMs, 1000 * Math.pow(2, wsReconnectAttempts));
+    const delayMs = Math.round(baseDelayMs / 2 + Math.random() * baseDelayMs / 2);
+    wsReconnectAttempts++;
+    
+    app.debug(`Reconnecting WebSocket in ${Math.round(delayMs / 1000)}s (attempt ${wsReconnectAttempts})`);
+    updateProviderStatus();
+    
+    wsReconnectTimer = setTimeout(() => {
+      wsReconnectTimer = null;
+      if (!wsStopping) {
+        startWebSocketConnection(options);
+      }
+    }, delayMs);
+  }
+
+  // Tear down the WebSocket and all of its timers
+  function stopWebSocketConnection() {
+    wsStopping = true;
+    wsConnected = false;
+    
+    if (wsReconnectTimer) {
+      clearTimeout(wsReconnectTimer);
+      wsReconnectTimer = null;
+    }
+    
+    if (wsStatusInterval) {
+      clearInterval(wsStatusInterval);
+      wsStatusInterval = null;
+    }
+    
+    stopWebSocketHeartbeat();
+    
+    if (wsConnection) {
+      const socket = wsConnection;
+      wsConnection = null;
+      socket.removeAllListeners();
+      socket.on('error', () => {}); // Ignore errors raised while closing
+      socket.terminate();
+    }
+    
+    wsReconnectAttempts = 0;
+    wsLastMessageTime = null;
+  }
+
+  // Report WebSocket connection state and the age of each data channel in the admin UI
+  function updateProviderStatus() {
+    if (!deviceRegistry) return;
+    
+    const parts = [];
+    let failing = false;
+    
+    if (pluginOptions.enableWebSocket && pluginOptions.apiToken && !wsStopping) {
+      const age = wsLastMessageTime ? `${Math.round((Date.now() - wsLastMessageTime) / 1000)}s ago` : 'never';
+      
+      if (wsConnected) {
+        parts.push(`WebSocket connected, last message ${age}`);
+      } else if (wsReconnectAttempts > 0) {
+        parts.push(`WebSocket disconnected (reconnect attempt ${wsReconnectAttempts}), last message ${age}`);
+        failing = true;
+      } else {
+        parts.push('WebSocket connecting...');
+      }
+    }
+    
+    if (dataWatchdog) {
+      const summary = dataWatchdog.summary();
+      if (summary) parts.push(summary);
+      failing = failing || dataWatchdog.anyStale();
+    }
+    
+    if (parts.length === 0) return;
+    if (failing) {
+      app.setPluginError(parts.join('; '));
+    } else {
+      app.setProviderStatus(parts.join('; '));
+    }
+  }
+
+  // Tell the watchdog a channel delivered; keys are the values it published under basePath
+  function watchData(device, channelName, intervalSeconds, basePath, keys) {
+    if (!dataWatchdog) return;
+    
+    const channelInfo = WATCHDOG_CHANNELS[channelName];
+    const id = device && device.serialNumber ? `${device.serialNumber}.${channelName}` : channelName;
+    const notificationPrefix = (device && deviceRegistry.notificationPrefix(device)) || 'notifications.environment.tempest';
+    
+    const recovered = dataWatchdog.touch(id, {
+      label: device ? `${device.name} ${channelInfo.label}` : channelInfo.label,
+      intervalSeconds,
+      notificationPath: `${notificationPrefix}.stale.${channelName}`,
+      basePath,
+      keys,
+      arbiterChannel: channelInfo.arbiterChannel
+    });
+    
+    if (recovered) {
+      publishStaleState(dataWatchdog.channels.get(id));
+      updateProviderStatus();
+    }
+  }
+
+  // Tell the watchdog a UDP observation arrived; REST fallback observations don't count as UDP data
+  function watchObservation(device, source, reportIntervalMinutes, basePath, observationData) {
+    if (source !== 'zennora-weatherflow-udp') return;
+    
+    watchData(device, 'udpObservation', (reportIntervalMinutes || 1) * 60, basePath,
+      Object.keys(observationData).filter(key => key !== 'utcDate'));
+  }
+
+  // Look for channels that have stopped delivering and refresh the status line
+  function checkStaleData() {
+    if (!dataWatchdog) return;
+    
+    dataWatchdog.check().forEach(publishStaleState);
+    updateProviderStatus();
+  }
+
+  // Publish the notification and nulls or dataStale flags for a channel that went stale or recovered
+  function publishStaleState(channel) {
+    dataWatchdog.notification(channel).forEach(delta => {
+      sendDirect(delta);
+    });
+    
+    const useFlag = pluginOptions.staleDataAction === 'flag';
+    if (channel.stale === false && !useFlag) return; // Fresh values replace the nulls by themselves
+    
+    const source = 'zennora-weatherflow-watchdog';
+    channel.paths.forEach((keys, basePath) => {
+      // Leave values alone while another source is still feeding them
+      const active = sourceArbiter ? sourceArbiter.activeChannel(basePath) : null;
+      if (channel.stale && active && active !== channel.arbiterChannel) return;
+      
+      const values = useFlag ?
+        [{ path: `${basePath}.dataStale`, value: channel.stale }] :
+        Array.from(keys).map(key => ({ path: `${basePath}.${key}`, value: null }));
+      
+      publishDelta({
+        context: 'vessels.self',
+        updates: [{
+          $source: source,
+          timestamp: new Date().toISOString(),
+          values
+        }]
+      });
+    });
+  }
+
+  // Group devices by WeatherFlow station ID so each station's forecast is fetched once
+  function forecastStations() {
+    const stations = new Map();
+    
+    deviceRegistry.all().forEach(device => {
+      if (!device.stationId) return;
+      if (!stations.has(device.stationId)) stations.set(device.stationId, []);
+      stations.get(device.stationId).push(device);
+    });
+    
+    return stations;
+  }
+
+  // Start forecast data fetching
+  function startForecastFetching(options) {
+    const stations = forecastStations();
+    if (stations.size === 0) return;
+    
+    const fetchForecast = async (stationId, devices) => {
+      try {
+        // Units are requested explicitly; convertToSignalKUnits expects °C, m/s, mb, mm and km
+        const url = `https://swd.weatherflow.com/swd/rest/better_forecast?station_id=${stationId}&token=${options.apiToken}` +
+          '&units_temp=c&units_wind=mps&units_pressure=mb&units_precip=mm&units_distance=km';
+        const response = await fetch(url);
+        if (!response.ok) {
+          app.error(`Forecast request for station ${stationId} failed: HTTP ${response.status}`);
+          return;
+        }
+        const data = await response.json();
+        
+        // An error reply (e.g. a bad token) must not mark the cloud forecast current
+        const statusCode = data.status && data.status.status_code;
+        if (statusCode || !data.forecast) {
+          app.error(`Forecast for station ${stationId} rejected: ${(data.status && data.status.status_message) || 'no forecast in reply'}`);
+          return;
+        }
+        
+        // Only a forecast that passed validation keeps the forecast channel fresh
+        watchData(null, 'forecast', (options.forecastInterval || 30) * 60);
+        processForecastData(data, devices);
+        lastForecastTime = Date.now();
+        checkForecastAlerts(stationId, data, devices, options);
+        if (forecastVerification && stationId === mainDevice().stationId) {
+          forecastVerification.addForecast(data.forecast.hourly);
+          publishCorrectedForecast();
+        }
+        if (weatherProvider) {
+          weatherProvider.setForecast(stationId, data);
+        }
+      } catch (error) {
+        app.error(`Error fetching forecast data for station ${stationId}:`, error);
+      }
+    };
+    const fetchAll = () => {
+      stations.forEach((devices, stationId) => fetchForecast(stationId, devices));
+    };
+    
+    // Fetch immediately
+    fetchAll();
+    
+    // Set up interval
+    const intervalMs = (options.forecastInterval || 30) * 60 * 1000;
+    forecastInterval = setInterval(fetchAll, intervalMs);
+  }
+
+  // Publish the verification statistics under the main station's forecast path
+  function publishVerification() {
+    const basePath = `${deviceRegistry.paths(mainDevice()).forecast}.verification`;
+    const values = [];
+    const meta = [];
+    
+    Object.entries(forecastVerification.statistics()).forEach(([variable, bins]) => {
+      const units = forecastVerification.units(variable);
+      Object.entries(bins).forEach(([bin, stat]) => {
+        Object.entries(stat).forEach(([name, value]) => {
+          const path = `${basePath}.${variable}.${bin}.${name}`;
+          values.push({ path, value });
+          if (name !== 'count') meta.push({ path, value: { units } });
+        });
+      });
     });
+    if (values.length === 0) return;
     
-    wsConnection.on('message', (data) => {
-      try {
-        const message = JSON.parse(data);
-        processWebSocketMessage(message);
-      } catch (error) {
-        app.debug('Error parsing WebSocket message:', error);
-      }
+    publishDelta({
+      context: 'vessels.self',
+      updates: [{ $source: 'zennora-weatherflow-verification', timestamp: new Date().toISOString(), values, meta }]
     });
+  }
+
+  // Publish the next hours of the latest forecast with the verified bias removed
+  function publishCorrectedForecast() {
+    const basePath = `${deviceRegistry.paths(mainDevice()).forecast}.corrected.hourly`;
+    const values = [];
+    const meta = [];
     
-    wsConnection.on('error', (error) => {
-      app.error('WebSocket error:', error);
+    forecastVerification.corrected().forEach(({ time, values: corrected }, index) => {
+      values.push({ path: `${basePath}.${index}.datetime`, value: time });
+      Object.entries(corrected).forEach(([variable, value]) => {
+        const path = `${basePath}.${index}.${variable}`;
+        values.push({ path, value });
+        meta.push({ path, value: { units: forecastVerification.units(variable) } });
+      });
     });
+    if (values.length === 0) return;
     
-    wsConnection.on('close', () => {
-      app.debug('WebSocket connection closed');
-      // Implement reconnection logic here if needed
+    publishDelta({
+      context: 'vessels.self',
+      updates: [{ $source: 'zennora-weatherflow-verification', timestamp: new Date().toISOString(), values, meta }]
     });
   }
 
-  // Start forecast data fetching
-  function startForecastFetching(options) {
-    const fetchForecast = async () => {
+  // Run the station's forecast alert rules over a new forecast and send the resulting notifications
+  function checkForecastAlerts(stationId, data, devices, options) {
+    if (options.enableForecastAlerts === false || !data.forecast) return;
+    
+    if (!forecastAlerts.has(stationId)) {
+      forecastAlerts.set(stationId, new ForecastAlerts(app, {
+        rules: options.forecastAlertRules,
+        notificationBases: devices.map(device => `notifications.${deviceRegistry.paths(device).forecast}.alerts`)
+      }));
+    }
+    
+    forecastAlerts.get(stationId).evaluate(data.forecast.hourly).forEach(delta => {
+      sendDirect(delta);
+    });
+  }
+
+  // Poll the latest device observation over REST while no higher priority source is delivering
+  function startRestFallback(options) {
+    const pollDevice = async (device) => {
+      const basePath = deviceRegistry.paths(device, 'obs_st').observations;
+      if (!sourceArbiter || !sourceArbiter.needsRestFallback(basePath)) return;
+      
       try {
-        const url = `https://swd.weatherflow.com/swd/rest/better_forecast?station_id=${options.stationId}&token=${options.apiToken}`;
+        const url = `https://swd.weatherflow.com/swd/rest/observations/device/${device.deviceId}?token=${options.apiToken}`;
         const response = await fetch(url);
         const data = await response.json();
-        processForecastData(data);
+        if (!deviceRegistry || !Array.isArray(data.obs) || data.obs.length === 0) return;
+        
+        // Only the latest observation matters for the fallback
+        const latest = Object.assign({}, data, { obs: [data.obs[data.obs.length - 1]] });
+        const source = 'zennora-weatherflow-rest';
+        
+        inBatch(() => {
+          switch (data.type) {
+            case 'obs_st':
+              processTempestObservation(latest, options, device, source);
+              break;
+            case 'obs_air':
+              processAirObservation(latest, options, device, source);
+              break;
+            case 'obs_sky':
+              processSkyObservation(latest, options, device, source);
+              break;
+            default:
+              app.debug('Unknown WeatherFlow REST observation type:', data.type);
+          }
+        });
       } catch (error) {
-        app.error('Error fetching forecast data:', error);
+        app.error(`Error fetching REST observations for device ${device.deviceId}:`, error);
       }
     };
     
-    // Fetch immediately
-    fetchForecast();
-    
-    // Set up interval
-    const intervalMs = (options.forecastInterval || 30) * 60 * 1000;
-    forecastInterval = setInterval(fetchForecast, intervalMs);
+    const intervalMs = (options.restPollInterval || 5) * 60 * 1000;
+    restInterval = setInterval(() => {
+      deviceRegistry.all().filter(device => device.deviceId).forEach(pollDevice);
+    }, intervalMs);
   }
 
   // Process WeatherFlow UDP messages
   function processWeatherFlowMessage(data, options) {
-    if (!data.type) return;
+    if (!data.type || !deviceRegistry) return;
+    
+    const device = data.type === 'hub_status' ?
+      deviceRegistry.resolveHub(data.serial_number) :
+      deviceRegistry.resolve(data.serial_number, data.hub_sn);
+    if (!device) return;
     
     switch (data.type) {
       case 'rapid_wind':
-        processRapidWind(data, options);
+        processRapidWind(data, options, device);
         break;
       case 'obs_st':
-        processTempestObservation(data, options);
+        processTempestObservation(data, options, device);
         break;
       case 'obs_air':
-        processAirObservation(data, options);
+        processAirObservation(data, options, device);
         break;
       case 'evt_precip':
-        processRainEvent(data, options);
+        processRainEvent(data, options, device);
         break;
       case 'evt_strike':
-        processLightningEvent(data, options);
+        processLightningEvent(data, options, device);
+        break;
+      case 'obs_sky':
+        processSkyObservation(data, options, device);
+        break;
+      case 'device_status':
+        processDeviceStatus(data, options, device);
+        break;
+      case 'hub_status':
+        processHubStatus(data, options, device);
         break;
       default:
         app.debug('Unknown WeatherFlow message type:', data.type);
     }
   }
 
+  // Apply the device's mounting offset to a wind direction in degrees
+  function applyWindAngleOffset(windDirection, device) {
+    if (typeof windDirection !== 'number' || !device.windAngleOffset) return windDirection;
+    
+    const corrected = (windDirection + device.windAngleOffset) % 360;
+    return corrected < 0 ? corrected + 360 : corrected;
+  }
+
   // Helper function to convert snake_case to camelCase
   function snakeToCamel(str) {
     return str.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
   }
 
-  // Helper function to send individual SignalK deltas with units metadata
-  function sendSignalKDelta(basePath, key, value, source, timestamp) {
-    const converted = convertToSignalKUnits(key, value);
-    const camelKey = snakeToCamel(key);
+  // Helper function to send all values of a packet under basePath as one SignalK delta with units metadata;
+  // returns whether the source arbiter accepted any of them
+  function sendSignalKDeltas(basePath, data, source, timestamp) {
+    const values = [];
+    const meta = [];
     
-    const path = `${basePath}.${camelKey}`;
+    Object.entries(data).forEach(([key, value]) => {
+      if (key === 'utcDate' || value === undefined) return; // The timestamp is used for the delta itself
+      
+      const camelKey = snakeToCamel(key);
+      if (!arbitrate(basePath, camelKey, source, timestamp)) return;
+      
+      const converted = convertToSignalKUnits(key, value);
+      const path = `${basePath}.${camelKey}`;
+      values.push({ path, value: converted.value });
+      
+      // Units metadata; the publisher only sends it the first time a path is seen
+      if (converted.units) {
+        meta.push({ path, value: { units: converted.units } });
+      }
+    });
     
-    const delta = {
-      context: 'vessels.self',
-      updates: [{
-        $source: source,
-        timestamp: timestamp,
-        values: [{
-          path: path,
-          value: converted.value
-        }]
-      }]
-    };
+    if (values.length === 0) return false;
     
-    // Add units metadata if available
-    if (converted.units) {
-      delta.updates[0].meta = [{
-        path: path,
-        value: {
-          units: converted.units
-        }
-      }];
+    const update = { $source: source, timestamp, values };
+    if (meta.length > 0) update.meta = meta;
+    publishDelta({ context: 'vessels.self', updates: [update] });
+    return true;
+  }
+
+  // Send a delta through the standard path mapping and the publisher, which drops repeated meta and
+  // applies rate limits and deadbands
+  function publishDelta(delta) {
+    const filtered = filterDelta(delta);
+    if (filtered) sendDirect(filtered);
+  }
+
+  // Delta as it should go out now, or null; the Weather API provider and the local history see every value,
+  // the history before mapping so standard path copies aren't recorded twice
+  function filterDelta(delta) {
+    if (weatherProvider) {
+      delta.updates.forEach(update => weatherProvider.recordValues(update.values || [], update.timestamp));
+    }
+    
+    if (historyStore) {
+      recordHistory(delta);
+    }
+    
+    if (pathMapper) {
+      delta = pathMapper.mapDelta(delta);
+    }
+    
+    return deltaPublisher ? deltaPublisher.filter(delta) : delta;
+  }
+
+  // Send a delta as it is, e.g. notifications, which are never rate limited; joins the open batch if any
+  function sendDirect(delta) {
+    if (batch) {
+      batch.push(...delta.updates);
+    } else {
+      app.handleMessage(plugin.id, delta);
     }
+  }
+
+  // Run fn with everything it publishes sent as one delta, so one packet gives SignalK one message
+  function inBatch(fn) {
+    if (batch) return fn();
+    
+    batch = [];
+    try {
+      return fn();
+    } finally {
+      const updates = batch;
+      batch = null;
+      if (updates.length > 0) {
+        app.handleMessage(plugin.id, { context: 'vessels.self', updates });
+      }
+    }
+  }
+
+  // Add a delta's numeric values to the local history; forecasts and timestamps are not history
+  function recordHistory(delta) {
+    delta.updates.forEach(update => {
+      const time = Date.parse(update.timestamp) || Date.now();
+      (update.values || []).forEach(({ path, value }) => {
+        if (path.includes('.forecast.') || /\.(timeEpoch|time)$/.test(path)) return;
+        historyStore.record(path, value, time);
+      });
+    });
+  }
+
+  // Pass a value through source arbitration and publish the base path's active source when it changes
+  function arbitrate(basePath, key, source, timestamp) {
+    if (!sourceArbiter) return true;
+    if (!sourceArbiter.accept(basePath, key, source, timestamp)) return false;
     
-    app.handleMessage(plugin.id, delta);
+    const active = sourceArbiter.takeActiveChange(basePath);
+    if (active !== undefined) {
+      app.debug(`${basePath} now fed by ${active}`);
+      sendDirect(createSignalKDelta(`${basePath}.activeSource`, active, 'zennora-weatherflow-arbiter'));
+    }
+    return true;
+  }
+
+  // Arbitrate the values of a delta that fall under an observation path, e.g. the wind calculations' feels-like
+  // values, which the API's current conditions also write
+  function arbitrateObservationValues(delta, basePath) {
+    const prefix = `${basePath}.`;
+    delta.updates.forEach(update => {
+      update.values = update.values.filter(({ path }) => !path.startsWith(prefix) ||
+        arbitrate(basePath, path.substring(prefix.length), update.$source, update.timestamp));
+    });
+    return delta;
   }
 
   // Convert WeatherFlow values to SignalK standard units and get units metadata
@@ -324,11 +1784,16 @@ module.exports = function(app) {
       case 'dewPoint':
       case 'wetBulbTemperature':
       case 'wetBulbGlobeTemperature':
+      case 'airTempHigh':
+      case 'airTempLow':
         return { value: value + 273.15, units: 'K' };
       
       // Pressure conversions: MB to Pa
       case 'stationPressure':
       case 'pressure':
+      case 'seaLevelPressure':
+      case 'pressureChange1h':
+      case 'pressureChange3h':
         return { value: value * 100, units: 'Pa' };
       
       // Direction conversions: degrees to radians
@@ -337,25 +1802,54 @@ module.exports = function(app) {
       
       // Distance conversions: km to m
       case 'lightningStrikeAvgDistance':
+      case 'lightningStrikeLastDistance':
       case 'strikeLastDist':
         return { value: value * 1000, units: 'm' };
       
+      // Distances (already in m)
+      case 'nearestStrikeDistance':
+      case 'lastStrikeDistance':
+        return { value: value, units: 'm' };
+      
+      // Lightning strike rate (strikes per second)
+      case 'strikeRate':
+        return { value: value, units: 'Hz' };
+      
       // Time conversions: minutes to seconds
       case 'reportInterval':
+      case 'precipMinutesLocalDay':
+      case 'precipMinutesLocalYesterday':
         return { value: value * 60, units: 's' };
       
+      // Rain totals (already in m)
+      case 'accumulationLastHour':
+      case 'accumulationLast24Hours':
+      case 'accumulationToday':
+      case 'accumulationMonthToDate':
+      case 'accumulationYearToDate':
+      case 'accumulationSinceMarker':
+        return { value: value, units: 'm' };
+      
+      // Rainfall rate (already in m/s)
+      case 'rainRate':
+        return { value: value, units: 'm/s' };
+      
       // Rain conversions: mm to m
       case 'rainAccumulated':
       case 'rainAccumulatedFinal':
       case 'localDailyRainAccumulation':
       case 'localDailyRainAccumulationFinal':
       case 'precipTotal1h':
+      case 'precip':
+      case 'precipAccumLocalDay':
+      case 'precipAccumLocalDayFinal':
       case 'precipAccumLocalYesterday':
       case 'precipAccumLocalYesterdayFinal':
         return { value: value / 1000, units: 'm' };
       
       // Relative humidity: % to ratio (0-1)
       case 'relativeHumidity':
+      case 'precipProbability':
         return { value: value / 100, units: 'ratio' };
       
       // Wind speeds (already in m/s)
@@ -363,18 +1857,24 @@ module.exports = function(app) {
       case 'windAvg':
       case 'windGust':
       case 'windSpeed':
+      case 'stormApproachSpeed':
         return { value: value, units: 'm/s' };
       
       // Time values (already in seconds)
       case 'windSampleInterval':
       case 'timeEpoch':
+      case 'time':
+      case 'dayStartLocal':
+      case 'sunrise':
+      case 'sunset':
       case 'strikeLastEpoch':
-      case 'precipMinutesLocalDay':
-      case 'precipMinutesLocalYesterday':
+      case 'lightningStrikeLastEpoch':
+      case 'stormArrivalTime':
         return { value: value, units: 's' };
       
       // Illuminance (lux)
       case 'illuminance':
+      case 'brightness':
         return { value: value, units: 'lux' };
       
       // Solar radiation (W/m²)
@@ -383,38 +1883,84 @@ module.exports = function(app) {
       
       // Battery voltage
       case 'battery':
+      case 'voltage':
         return { value: value, units: 'V' };
       
+      // Uptime (already in seconds)
+      case 'uptime':
+        return { value: value, units: 's' };
+      
+      // Radio signal strength
+      case 'rssi':
+      case 'hubRssi':
+        return { value: value, units: 'dBm' };
+      
       // Air density (kg/m³)
       case 'airDensity':
         return { value: value, units: 'kg/m3' };
       
+      // Absolute humidity (kg/m³)
+      case 'absoluteHumidity':
+        return { value: value, units: 'kg/m3' };
+      
       // Temperature difference (already in K)
       case 'deltaT':
+      case 'dewPointSpread':
         return { value: value, units: 'K' };
       
       // Counts and indices (dimensionless)
       case 'uvIndex':
+      case 'uv':
       case 'precipitationType':
       case 'precipType':
       case 'lightningStrikeCount':
       case 'strikeCount1h':
       case 'strikeCount3h':
+      case 'strikeCount':
+      case 'lightningStrikeCountLast1hr':
+      case 'lightningStrikeCountLast3hr':
+      case 'localHour':
+      case 'localDay':
+      case 'dayNum':
+      case 'monthNum':
       case 'precipitationAnalysisType':
       case 'deviceId':
       case 'firmwareRevision':
       case 'precipAnalysisTypeYesterday':
+      case 'pressureTendencyCode':
       case 'type':
       case 'source':
       case 'statusCode':
       case 'statusMessage':
       case 'id':
+      case 'sensorStatus':
+      case 'debug':
+      case 'seq':
+      case 'radioVersion':
+      case 'radioRebootCount':
+      case 'radioI2cBusErrorCount':
+      case 'radioNetworkId':
         return { value: value, units: null };
       
       // String values (no units)
       case 'serialNumber':
       case 'hubSn':
       case 'pressureTrend':
+      case 'conditions':
+      case 'icon':
+      case 'precipIcon':
+      case 'windDirectionCardinal':
+      case 'datetime':
+      case 'pressureTendency':
+      case 'stormTrend':
+      case 'lastStrikeTime':
+      case 'accumulationMarkerTime':
+      case 'rainIntensity':
+      case 'raining':
+      case 'lastRainStart':
+      case 'lastRainStop':
+      case 'resetFlags':
+      case 'radioStatus':
         return { value: value, units: null };
       
       default:
@@ -423,7 +1969,22 @@ module.exports = function(app) {
   }
 
   // Process WebSocket messages
-  function processWebSocketMessage(data) {
+  function processWebSocketMessage(data, options) {
+    // Control messages carry no observations
+    if (data.type === 'ack' || data.type === 'connection_opened') return;
+    if (!deviceRegistry) return;
+    
+    const device = deviceRegistry.findByDeviceId(data.device_id);
+    if (!device) {
+      app.debug(`Ignoring WebSocket message for unconfigured device ${data.device_id}`);
+      return;
+    }
+    
+    if (data.type === 'rapid_wind') {
+      processRapidWind(data, options, device, 'zennora-weatherflow-ws');
+      return;
+    }
+    
     // Flatten summary and status properties
     if (data.summary && typeof data.summary === 'object') {
       Object.assign(data, data.summary);
@@ -443,7 +2004,7 @@ module.exports = function(app) {
         windLull: obsArray[1],
         windAvg: obsArray[2],
         windGust: obsArray[3],
-        windDirection: obsArray[4], // Will be converted to radians by convertToSignalKUnits
+        windDirection: applyWindAngleOffset(obsArray[4], device), // Will be converted to radians by convertToSignalKUnits
         windSampleInterval: obsArray[5],
         stationPressure: obsArray[6], // Will be converted to Pa by convertToSignalKUnits
         airTemperature: obsArray[7], // Will be converted to K by convertToSignalKUnits
@@ -467,22 +2028,29 @@ module.exports = function(app) {
       delete data.obs;
     }
     
-    // Send individual deltas for each observation value
-    const timestamp = data.utcDate || new Date().toISOString();
+    // Stamp the values with the observation time for arbitration
+    const timestamp = data.utcDate ||
+      (data.timeEpoch ? new Date(data.timeEpoch * 1000).toISOString() : new Date().toISOString());
     const source = 'zennora-weatherflow-ws';
     
-    // Create individual deltas for each observation property
-    Object.entries(data).forEach(([key, value]) => {
-      if (key === 'utcDate') return; // Skip timestamp, use it for deltas
-      sendSignalKDelta('environment.outside.tempest.observations', key, value, source, timestamp);
-    });
+    const basePath = deviceRegistry.paths(device, 'obs_st').observations;
+    
+    // Send every observation property in one delta
+    sendSignalKDeltas(basePath, data, source, timestamp);
+    
+    if (data.timeEpoch) {
+      watchData(device, 'webSocket', (data.reportInterval || 1) * 60, basePath,
+        Object.keys(data).filter(key => key !== 'utcDate').map(snakeToCamel));
+    }
   }
 
   // Process rapid wind observations
-  function processRapidWind(data, options) {
+  function processRapidWind(data, options, device, source = 'zennora-weatherflow-udp') {
     if (!data.ob) return;
     
-    const [timeEpoch, windSpeed, windDirection] = data.ob;
+    const [timeEpoch, windSpeed, rawWindDirection] = data.ob;
+    const sensorType = deviceRegistry.sensorType(data.serial_number, 'obs_st');
+    const windDirection = applyWindAngleOffset(rawWindDirection, device);
     const windData = {
       timeEpoch,
       windSpeed,
@@ -490,37 +2058,63 @@ module.exports = function(app) {
       utcDate: new Date(timeEpoch * 1000).toISOString()
     };
     
-    // Send individual deltas for each wind observation
+    // Send the wind observation as one delta
     const timestamp = windData.utcDate;
-    const source = 'zennora-weatherflow-udp';
     
-    Object.entries(windData).forEach(([key, value]) => {
-      if (key === 'utcDate') return; // Skip timestamp
-      sendSignalKDelta('environment.outside.rapidWind', key, value, source, timestamp);
-    });
+    const accepted = sendSignalKDeltas(deviceRegistry.paths(device).rapidWind, windData, source, timestamp);
     
-    // Calculate wind values if enabled
-    if (options.enableWindCalculations && windCalculations) {
+    if (source === 'zennora-weatherflow-udp') {
+      watchData(device, 'udpRapidWind', getSensorState(device, sensorType).windSampleInterval || 3,
+        deviceRegistry.paths(device).rapidWind, ['timeEpoch', 'windSpeed', 'windDirection']);
+    }
+    
+    // Calculate wind values if enabled; a sample the arbiter dropped (e.g. the WebSocket copy of a UDP
+    // sample) is neither calculated twice nor motion compensated with a later attitude
+    if (accepted && options.enableWindCalculations && windCalculations) {
       calculateAndPublishWind({
         windSpeed,
         windDirection,
-        airTemperature: windCalculations.airTemp
-      });
+        airTemperature: windCalculations.airTemp,
+        instantaneous: true // Rapid wind is a single sample, so it can be motion compensated
+      }, device, sensorType);
     }
   }
 
-  // Calculate and publish wind values
-  function calculateAndPublishWind(windData) {
-    if (!windCalculations) return;
+  // Calculate and publish wind values from a device that feeds the wind calculations
+  function calculateAndPublishWind(windData, device, sensorType) {
+    if (!windCalculations || !device.feedsWindCalculations) return;
+    
+    // Don't feed readings from a failed anemometer into the wind calculations
+    if (getSensorState(device, sensorType).sensorStatusMonitor.isSensorFailed('wind')) {
+      app.debug(`Skipping wind calculations: ${device.name} wind sensor failed`);
+      return;
+    }
+    
+    const observationPath = deviceRegistry.paths(device, 'obs_st').observations;
     
     try {
+      // A shore station reports true wind, so calculate in reverse from ground wind
+      if (device.role === 'shore') {
+        const stationWind = windCalculations.calculateFixedStationWind(windData);
+        windCalculations.createWindDeltas(stationWind, observationPath).forEach(delta => {
+          publishDelta(arbitrateObservationValues(delta, observationPath));
+        });
+        return;
+      }
+      
       const apparentWind = windCalculations.calculateApparentWind(windData);
       const derivedWind = windCalculations.calculateDerivedWindValues(apparentWind);
-      const windDeltas = windCalculations.createWindDeltas(derivedWind);
+      const windDeltas = windCalculations.createWindDeltas(derivedWind, observationPath)
+        .map(delta => arbitrateObservationValues(delta, observationPath));
+      
+      const notificationDeltas = windCalculations.checkAnchorShift(derivedWind);
       
-      // Send all wind deltas to SignalK
+      // Send the wind values through the publisher; notifications always go straight out
       windDeltas.forEach(delta => {
-        app.handleMessage(plugin.id, delta);
+        publishDelta(delta);
+      });
+      notificationDeltas.forEach(delta => {
+        sendDirect(delta);
       });
     } catch (error) {
       app.debug('Error calculating wind values:', error);
@@ -528,16 +2122,17 @@ module.exports = function(app) {
   }
 
   // Process Tempest station observations
-  function processTempestObservation(data, options) {
+  function processTempestObservation(data, options, device, source = 'zennora-weatherflow-udp') {
     if (!data.obs || !data.obs[0]) return;
     
     const obs = data.obs[0];
+    const windDirection = applyWindAngleOffset(obs[4], device);
     const observationData = {
       timeEpoch: obs[0],
       windLull: obs[1],
       windAvg: obs[2],
       windGust: obs[3],
-      windDirection: obs[4], // Will be converted to radians by convertToSignalKUnits
+      windDirection, // Will be converted to radians by convertToSignalKUnits
       windSampleInterval: obs[5],
       stationPressure: obs[6], // Will be converted to Pa by convertToSignalKUnits
       airTemperature: obs[7], // Will be converted to K by convertToSignalKUnits
@@ -558,27 +2153,63 @@ module.exports = function(app) {
       utcDate: new Date(obs[0] * 1000).toISOString()
     };
     
-    // Send individual deltas for each tempest observation
+    // Send the tempest observation as one delta
     const timestamp = observationData.utcDate;
-    const source = 'zennora-weatherflow-udp';
+    const basePath = deviceRegistry.paths(device, 'obs_st').observations;
+    const state = getDeviceState(device);
     
-    Object.entries(observationData).forEach(([key, value]) => {
-      if (key === 'utcDate') return; // Skip timestamp
-      sendSignalKDelta('environment.outside.tempest.observations', key, value, source, timestamp);
-    });
+    sendSignalKDeltas(basePath, observationData, source, timestamp);
+    
+    getSensorState(device, 'ST').windSampleInterval = obs[5];
+    watchObservation(device, source, obs[17], basePath, observationData);
+    
+    // Feed the interval strike summary to the lightning tracker
+    if (state.lightningTracker && feedsTracking(device, 'ST', 'lightning')) {
+      state.lightningTracker.addObservation(obs[0], obs[15], obs[14], obs[17]);
+      publishLightningTracking(device);
+    }
+    
+    // Feed the interval rain amount to the rain accumulator
+    if (state.rainAccumulator && feedsTracking(device, 'ST', 'rain')) {
+      publishRainTracking(device, state.rainAccumulator.addObservation(obs[0], obs[12], obs[17]));
+    }
+    
+    publishPressureTendency(device, 'ST', obs[0], obs[6], obs[7], basePath);
+    
+    if (options.enableDerivedThermodynamics !== false) {
+      publishThermodynamics(obs[0], obs[7], obs[8], obs[6], basePath);
+    }
+    
+    // Hourly averages of the main station's local observations verify the forecast
+    if (forecastVerification && source === 'zennora-weatherflow-udp' && device === mainDevice()) {
+      const verified = forecastVerification.addObservation(obs[0], {
+        airTemperature: obs[7],
+        windAvg: obs[2],
+        windGust: obs[3],
+        windDirection,
+        seaLevelPressure: state.pressureTendency ? state.pressureTendency.toSeaLevel(obs[6], obs[7]) : obs[6],
+        rainAccumulated: obs[12]
+      }, obs[17]);
+      if (verified) publishVerification();
+    }
     
     // Calculate wind values if enabled
-    if (options.enableWindCalculations && windCalculations) {
+    if (options.enableWindCalculations && windCalculations && device.feedsWindCalculations) {
+      windCalculations.updateWeatherData(
+        typeof obs[7] === 'number' ? obs[7] + 273.15 : null,
+        typeof obs[8] === 'number' ? obs[8] / 100 : null,
+        obs[11]
+      );
       calculateAndPublishWind({
         windSpeed: obs[2], // windAvg
-        windDirection: obs[4], // windDirection in degrees
+        windDirection, // windDirection in degrees, offset corrected
         airTemperature: obs[7] // airTemperature in °C (will be converted in wind calculations)
-      });
+      }, device, 'ST');
     }
   }
 
   // Process Air station observations
-  function processAirObservation(data, options) {
+  function processAirObservation(data, options, device, source = 'zennora-weatherflow-udp') {
     if (!data.obs || !data.obs[0]) return;
     
     const obs = data.obs[0];
@@ -594,18 +2225,210 @@ module.exports = function(app) {
       utcDate: new Date(obs[0] * 1000).toISOString()
     };
     
-    // Send individual deltas for each air observation
+    // Send the air observation as one delta
     const timestamp = observationData.utcDate;
-    const source = 'zennora-weatherflow-udp';
+    const basePath = deviceRegistry.paths(device, 'obs_air').observations;
+    
+    sendSignalKDeltas(basePath, observationData, source, timestamp);
+    
+    getSensorState(device, 'AR');
+    watchObservation(device, source, obs[7], basePath, observationData);
+    
+    publishPressureTendency(device, 'AR', obs[0], obs[1], obs[2], basePath);
+    
+    if (options.enableDerivedThermodynamics !== false) {
+      publishThermodynamics(obs[0], obs[2], obs[3], obs[1], basePath);
+    }
+  }
+
+  // Publish dew point, wet bulb, delta T, air density and absolute humidity derived from an observation
+  function publishThermodynamics(timeEpoch, airTemperature, relativeHumidity, stationPressure, basePath) {
+    const derived = calculateThermodynamics({ airTemperature, relativeHumidity, stationPressure });
+    const timestamp = new Date(timeEpoch * 1000).toISOString();
+    const source = 'zennora-weatherflow-derived';
+    
+    sendSignalKDeltas(basePath, derived, source, timestamp);
+  }
+
+  // Update the pressure history and publish sea-level pressure, tendency and rapid fall notifications; only the
+  // outdoor Tempest feeds it once reporting, so the history and sea-level reduction never use the cabin AIR
+  function publishPressureTendency(device, sensorType, timeEpoch, stationPressure, airTemperature, basePath) {
+    const state = getDeviceState(device);
+    const pressureTendency = state.pressureTendency;
+    if (!pressureTendency || !feedsTracking(device, sensorType, 'pressure')) return;
+    
+    // The Tempest has taken over from the AIR; its readings don't continue the AIR's history
+    if (state.pressureSensor && state.pressureSensor !== sensorType) {
+      pressureTendency.reset();
+    }
+    state.pressureSensor = sensorType;
+    
+    pressureTendency.addObservation(timeEpoch, stationPressure, airTemperature);
+    const { summary, notificationDeltas } = pressureTendency.analyse();
+    if (!summary) return;
+    
+    const timestamp = new Date(timeEpoch * 1000).toISOString();
+    const source = 'zennora-weatherflow-pressure';
+    
+    sendSignalKDeltas(basePath, summary, source, timestamp);
+    
+    notificationDeltas.forEach(delta => {
+      sendDirect(delta);
+    });
+    
+    if (pluginOptions.enableLocalForecast !== false) {
+      publishLocalForecast(device, summary, timeEpoch);
+    }
+  }
+
+  // Publish the Zambretti forecast from a pressure summary, marked with whether the cloud forecast is current
+  function publishLocalForecast(device, summary, timeEpoch) {
+    const windDirection = windCalculations && device.feedsWindCalculations ?
+      windCalculations.recentTrueWindDirection() : null;
+    const latitude = device.role === 'shore' && typeof pluginOptions.stationLatitude === 'number' ?
+      pluginOptions.stationLatitude : getVesselLatitude();
     
-    Object.entries(observationData).forEach(([key, value]) => {
-      if (key === 'utcDate') return; // Skip timestamp
-      sendSignalKDelta('environment.inside.air.observations', key, value, source, timestamp);
+    const forecast = zambrettiForecast({
+      pressure: summary.seaLevelPressure,
+      trend: summary.pressureTendency,
+      windDirection,
+      latitude,
+      month: new Date(timeEpoch * 1000).getMonth() + 1
     });
+    if (!forecast) return;
+    
+    // The cloud forecast counts as current until it misses three fetches
+    const forecastMaxAge = 3 * (pluginOptions.forecastInterval || 30) * 60 * 1000;
+    const cloudForecastCurrent = lastForecastTime !== null && Date.now() - lastForecastTime < forecastMaxAge;
+    
+    const timestamp = new Date(timeEpoch * 1000).toISOString();
+    sendSignalKDeltas(deviceRegistry.paths(device).localForecast, {
+      code: forecast.code,
+      text: forecast.text,
+      confidence: forecast.confidence,
+      method: 'zambretti',
+      cloudForecastCurrent
+    }, 'zennora-weatherflow-zambretti', timestamp);
+  }
+
+  // Process legacy Sky station observations
+  function processSkyObservation(data, options, device, source = 'zennora-weatherflow-udp') {
+    if (!data.obs || !data.obs[0]) return;
+    
+    const obs = data.obs[0];
+    const windDirection = applyWindAngleOffset(obs[7], device);
+    const observationData = {
+      timeEpoch: obs[0],
+      illuminance: obs[1],
+      uvIndex: obs[2],
+      rainAccumulated: obs[3], // Will be converted to m by convertToSignalKUnits
+      windLull: obs[4],
+      windAvg: obs[5],
+      windGust: obs[6],
+      windDirection, // Will be converted to radians by convertToSignalKUnits
+      battery: obs[8],
+      reportInterval: obs[9], // Will be converted to sec by convertToSignalKUnits
+      solarRadiation: obs[10],
+      localDailyRainAccumulation: obs[11], // Will be converted to m by convertToSignalKUnits
+      precipitationType: obs[12],
+      windSampleInterval: obs[13],
+      utcDate: new Date(obs[0] * 1000).toISOString()
+    };
+    
+    // Send the sky observation as one delta
+    const timestamp = observationData.utcDate;
+    
+    const basePath = deviceRegistry.paths(device, 'obs_sky').observations;
+    const state = getDeviceState(device);
+    
+    sendSignalKDeltas(basePath, observationData, source, timestamp);
+    
+    getSensorState(device, 'SK').windSampleInterval = obs[13];
+    watchObservation(device, source, obs[9], basePath, observationData);
+    
+    // Feed the interval rain amount to the rain accumulator
+    if (state.rainAccumulator && feedsTracking(device, 'SK', 'rain')) {
+      publishRainTracking(device, state.rainAccumulator.addObservation(obs[0], obs[3], obs[9]));
+    }
+    
+    // Calculate wind values if enabled
+    if (options.enableWindCalculations && windCalculations) {
+      calculateAndPublishWind({
+        windSpeed: obs[5], // windAvg
+        windDirection, // windDirection in degrees, offset corrected
+        airTemperature: windCalculations.airTemp
+      }, device, 'SK');
+    }
+  }
+
+  // Process device status messages (Tempest, Air and Sky)
+  function processDeviceStatus(data, options, device) {
+    const statusData = {
+      serialNumber: data.serial_number,
+      hubSn: data.hub_sn,
+      uptime: data.uptime,
+      voltage: data.voltage,
+      firmwareRevision: data.firmware_revision,
+      rssi: data.rssi,
+      hubRssi: data.hub_rssi,
+      sensorStatus: data.sensor_status,
+      debug: data.debug
+    };
+    
+    // Send the device status as one delta
+    const timestamp = data.timestamp ? new Date(data.timestamp * 1000).toISOString() : new Date().toISOString();
+    const source = 'zennora-weatherflow-udp';
+    const basePath = deviceRegistry.paths(device, null, data.serial_number).deviceStatus;
+    const sensorStatusMonitor = getSensorState(device, deviceRegistry.sensorType(data.serial_number)).sensorStatusMonitor;
+    const tempest = !/^(AR|SK)/.test(data.serial_number || '');
+    
+    // The battery zones follow the Tempest thresholds, so only a Tempest's voltage carries them
+    if (tempest && metadataRegistry) {
+      metadataRegistry.addBatteryPath(`${basePath}.voltage`);
+    }
+    sendSignalKDeltas(basePath, statusData, source, timestamp);
+    
+    // Decode the sensor_status bitfield and check the battery for Tempest devices
+    if (tempest) {
+      const sensors = sensorStatusMonitor.decode(data.sensor_status || 0);
+      sendSignalKDeltas(`${basePath}.sensors`, sensors, source, timestamp);
+      
+      const notificationDeltas = sensorStatusMonitor.update(data.sensor_status)
+        .concat(sensorStatusMonitor.checkBattery(data.voltage));
+      notificationDeltas.forEach(delta => {
+        sendDirect(delta);
+      });
+    }
+  }
+
+  // Process hub status messages
+  function processHubStatus(data, options, device) {
+    const radioStats = Array.isArray(data.radio_stats) ? data.radio_stats : [];
+    const radioStatusLabels = { 0: 'off', 1: 'on', 3: 'active' };
+    
+    const statusData = {
+      serialNumber: data.serial_number,
+      firmwareRevision: data.firmware_revision,
+      uptime: data.uptime,
+      rssi: data.rssi,
+      resetFlags: data.reset_flags,
+      seq: data.seq,
+      radioVersion: radioStats[0],
+      radioRebootCount: radioStats[1],
+      radioI2cBusErrorCount: radioStats[2],
+      radioStatus: radioStats[3] !== undefined ? (radioStatusLabels[radioStats[3]] || String(radioStats[3])) : undefined,
+      radioNetworkId: radioStats[4]
+    };
+    
+    // Send the hub status as one delta
+    const timestamp = data.timestamp ? new Date(data.timestamp * 1000).toISOString() : new Date().toISOString();
+    const source = 'zennora-weatherflow-udp';
+    
+    sendSignalKDeltas(deviceRegistry.paths(device).hubStatus, statusData, source, timestamp);
   }
 
   // Process rain events
-  function processRainEvent(data, options) {
+  function processRainEvent(data, options, device) {
     if (!data.evt) return;
     
     const [timeEpoch] = data.evt;
@@ -614,18 +2437,56 @@ module.exports = function(app) {
       utcDate: new Date(timeEpoch * 1000).toISOString()
     };
     
-    // Send individual deltas for each rain observation
+    // Send the rain event as one delta
     const timestamp = rainData.utcDate;
     const source = 'zennora-weatherflow-udp';
     
-    Object.entries(rainData).forEach(([key, value]) => {
-      if (key === 'utcDate') return; // Skip timestamp
-      sendSignalKDelta('environment.outside.rain.observations', key, value, source, timestamp);
+    sendSignalKDeltas(deviceRegistry.paths(device).rainEvents, rainData, source, timestamp);
+    
+    const sensorType = deviceRegistry.sensorType(data.serial_number, 'obs_st');
+    getSensorState(device, sensorType);
+    
+    const rainAccumulator = getDeviceState(device).rainAccumulator;
+    if (rainAccumulator && feedsTracking(device, sensorType, 'rain')) {
+      publishRainTracking(device, rainAccumulator.addRainStartEvent(timeEpoch));
+    }
+  }
+
+  // Publish a device's rain totals, rate and any rain start/stop notifications
+  function publishRainTracking(device, notificationDeltas) {
+    const rainAccumulator = device.state && device.state.rainAccumulator;
+    if (!rainAccumulator) return;
+    
+    const timestamp = new Date().toISOString();
+    const source = 'zennora-weatherflow-rain';
+    const basePath = deviceRegistry.paths(device).rain;
+    
+    sendSignalKDeltas(basePath, rainAccumulator.getSummary(), source, timestamp);
+    
+    (notificationDeltas || []).forEach(delta => {
+      sendDirect(delta);
     });
   }
 
+  // Allow a device's since-marker rain total to be reset with a PUT to its path
+  function registerRainMarkerPutHandler(device) {
+    const markerPath = `${deviceRegistry.paths(device).rain}.accumulationSinceMarker`;
+    
+    app.registerPutHandler('vessels.self', markerPath, (context, path, value) => {
+      const rainAccumulator = deviceRegistry && getDeviceState(device).rainAccumulator;
+      if (!rainAccumulator) {
+        return { state: 'COMPLETED', statusCode: 503, message: 'Rain tracking is not running' };
+      }
+      
+      rainAccumulator.resetMarker();
+      publishRainTracking(device);
+      app.debug(`Rain accumulation marker reset for ${device.name}`);
+      return { state: 'COMPLETED', statusCode: 200 };
+    }, plugin.id);
+  }
+
   // Process lightning events
-  function processLightningEvent(data, options) {
+  function processLightningEvent(data, options, device) {
     if (!data.evt) return;
     
     const [timeEpoch, distance, energy] = data.evt;
@@ -636,92 +2497,127 @@ module.exports = function(app) {
       utcDate: new Date(timeEpoch * 1000).toISOString()
     };
     
-    // Send individual deltas for each lightning observation
+    // Send the lightning event as one delta
     const timestamp = lightningData.utcDate;
     const source = 'zennora-weatherflow-udp';
     
-    Object.entries(lightningData).forEach(([key, value]) => {
-      if (key === 'utcDate') return; // Skip timestamp
-      sendSignalKDelta('environment.outside.lightning.observations', key, value, source, timestamp);
+    sendSignalKDeltas(deviceRegistry.paths(device).lightningEvents, lightningData, source, timestamp);
+    
+    const sensorType = deviceRegistry.sensorType(data.serial_number, 'obs_st');
+    getSensorState(device, sensorType);
+    
+    const lightningTracker = getDeviceState(device).lightningTracker;
+    if (lightningTracker && feedsTracking(device, sensorType, 'lightning')) {
+      lightningTracker.addStrike(timeEpoch, distance, energy);
+      publishLightningTracking(device);
+    }
+  }
+
+  // Publish a device's lightning tracking summary and proximity notifications
+  function publishLightningTracking(device) {
+    const lightningTracker = device.state && device.state.lightningTracker;
+    if (!lightningTracker) return;
+    
+    const { summary, notificationDeltas } = lightningTracker.analyse();
+    const timestamp = new Date().toISOString();
+    const source = 'zennora-weatherflow-lightning';
+    const basePath = deviceRegistry.paths(device).lightningTracking;
+    
+    sendSignalKDeltas(basePath, summary, source, timestamp);
+    
+    notificationDeltas.forEach(delta => {
+      sendDirect(delta);
     });
   }
 
-  // Process forecast data
-  function processForecastData(data) {
-    // Process current conditions
+  // Process forecast data for every device sharing the station
+  function processForecastData(data, devices) {
+    // Current conditions; each value is only used while no local or WebSocket observation of it is arriving
     if (data.current_conditions) {
-      const delta = createSignalKDelta(
-        'environment.outside.tempest.observations',
-        data.current_conditions,
-        'zennora-weatherflow-api'
-      );
-      app.handleMessage(plugin.id, delta);
+      const conditionsTime = data.current_conditions.time ?
+        new Date(data.current_conditions.time * 1000).toISOString() : new Date().toISOString();
+      devices.forEach(device => {
+        // The API reports the sensor's own wind direction, before the device's mounting offset
+        const conditions = Object.assign({}, data.current_conditions, {
+          wind_direction: applyWindAngleOffset(data.current_conditions.wind_direction, device)
+        });
+        sendSignalKDeltas(deviceRegistry.paths(device, 'obs_st').observations, conditions, 'zennora-weatherflow-api', conditionsTime);
+      });
     }
     
-    // Process hourly forecast (first 72 hours)
+    // Forecast entries are expanded into one path per field and sent as one delta
+    const entries = [];
     if (data.forecast && data.forecast.hourly) {
-      data.forecast.hourly.slice(0, 72).forEach((forecast, index) => {
-        // Convert units
-        if (forecast.air_temperature !== undefined) {
-          forecast.air_temperature += 273.15; // °C to K
-        }
-        if (forecast.feels_like !== undefined) {
-          forecast.feels_like += 273.15; // °C to K
-        }
-        if (forecast.sea_level_pressure !== undefined) {
-          forecast.sea_level_pressure *= 100; // MB to Pa
-        }
-        if (forecast.station_pressure !== undefined) {
-          forecast.station_pressure *= 100; // MB to Pa
-        }
-        if (forecast.wind_direction !== undefined) {
-          forecast.wind_direction *= (Math.PI / 180); // degrees to radians
-        }
-        
-        // Add datetime
+      data.forecast.hourly.slice(0, FORECAST_SLOTS.hourly).forEach((forecast, index) => {
+        const fields = Object.assign({}, forecast);
         if (forecast.time) {
-          forecast.datetime = new Date(forecast.time * 1000).toISOString();
+          fields.datetime = new Date(forecast.time * 1000).toISOString();
         }
-        
-        const delta = createSignalKDelta(
-          `environment.outside.tempest.forecast.hourly.${index}`,
-          forecast,
-          'zennora-weatherflow-api'
-        );
-        app.handleMessage(plugin.id, delta);
+        entries.push({ suffix: `hourly.${index}`, fields });
       });
     }
-    
-    // Process daily forecast (first 10 days)
     if (data.forecast && data.forecast.daily) {
-      data.forecast.daily.slice(0, 10).forEach((forecast, index) => {
-        // Convert units
-        if (forecast.air_temp_high !== undefined) {
-          forecast.air_temp_high += 273.15; // °C to K
-        }
-        if (forecast.air_temp_low !== undefined) {
-          forecast.air_temp_low += 273.15; // °C to K
-        }
-        
-        // Add datetime
+      data.forecast.daily.slice(0, FORECAST_SLOTS.daily).forEach((forecast, index) => {
+        const fields = Object.assign({}, forecast);
         if (forecast.day_start_local) {
-          forecast.day_start_local_iso = new Date(forecast.day_start_local * 1000).toISOString();
+          fields.day_start_local_iso = new Date(forecast.day_start_local * 1000).toISOString();
         }
         if (forecast.sunrise) {
-          forecast.sunrise_iso = new Date(forecast.sunrise * 1000).toISOString();
+          fields.sunrise_iso = new Date(forecast.sunrise * 1000).toISOString();
         }
         if (forecast.sunset) {
-          forecast.sunset_iso = new Date(forecast.sunset * 1000).toISOString();
+          fields.sunset_iso = new Date(forecast.sunset * 1000).toISOString();
         }
-        
-        const delta = createSignalKDelta(
-          `environment.outside.tempest.forecast.daily.${index}`,
-          forecast,
-          'zennora-weatherflow-api'
-        );
-        app.handleMessage(plugin.id, delta);
+        entries.push({ suffix: `daily.${index}`, fields });
       });
     }
+    if (entries.length === 0) return;
+    
+    const values = [];
+    const meta = [];
+    devices.forEach(device => {
+      const paths = deviceRegistry.paths(device);
+      const published = new Set();
+      entries.forEach(({ suffix, fields }) => {
+        Object.entries(fields).forEach(([key, value]) => {
+          if (value === undefined) return;
+          const converted = convertToSignalKUnits(key, value);
+          const path = `${paths.forecast}.${suffix}.${snakeToCamel(key)}`;
+          values.push({ path, value: converted.value });
+          if (converted.units) {
+            meta.push({ path, value: { units: converted.units } });
+          }
+          published.add(path);
+        });
+      });
+      
+      // Clear slots and fields the new forecast no longer has, e.g. when it is shorter than the last one; after
+      // a restart the last forecast is unknown, so every slot it could have filled is cleared
+      (forecastPaths.get(paths.forecast) || possibleForecastPaths(paths.forecast, entries)).forEach(path => {
+        if (!published.has(path)) values.push({ path, value: null });
+      });
+      forecastPaths.set(paths.forecast, published);
+    });
+    
+    const update = { $source: 'zennora-weatherflow-api', timestamp: new Date().toISOString(), values };
+    if (meta.length > 0) update.meta = meta;
+    publishDelta({ context: 'vessels.self', updates: [update] });
+  }
+
+  // Every path a forecast could have published under a base path, from the field names of the new one's entries
+  function possibleForecastPaths(forecastPath, entries) {
+    const fields = { hourly: new Set(), daily: new Set() };
+    entries.forEach(({ suffix, fields: entryFields }) => {
+      Object.keys(entryFields).forEach(key => fields[suffix.split('.')[0]].add(snakeToCamel(key)));
+    });
+    
+    const paths = [];
+    Object.entries(FORECAST_SLOTS).forEach(([period, count]) => {
+      for (let index = 0; index < count; index++) {
+        fields[period].forEach(key => paths.push(`${forecastPath}.${period}.${index}.${key}`));
+      }
+    });
+    return paths;
   }
 
   // Create SignalK delta message
@@ -0,0 +1,86 @@
+// JSON file in the plugin data directory, written atomically via a temporary file
+// Each write has its own temporary file, so a synchronous write on stop never shares one with an
+// asynchronous write still in flight, and a write that has been superseded is never renamed into place
+const fs = require('fs');
+
+class JsonFile {
+  constructor(app, filePath, label) {
+    this.app = app;
+    this.filePath = filePath;
+    this.label = label; // Used in log messages, e.g. 'rain accumulation totals'
+    this.sequence = 0; // Number of the latest write started
+    this.writing = false; // An asynchronous write is in flight
+    this.pending = null; // Data of a write requested meanwhile, run once it finishes
+  }
+
+  // Parsed contents, or null when the file is missing or unreadable
+  read() {
+    if (!fs.existsSync(this.filePath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      this.app.error(`Error loading ${this.label}:`, error);
+      return null;
+    }
+  }
+
+  // Replace the file with data; sync is for stop, when the process may exit right after
+  write(data, sync = false) {
+    const json = JSON.stringify(data);
+
+    if (sync) {
+      this.pending = null;
+      const tempFile = this.tempFile(++this.sequence); // Supersedes any asynchronous write in flight
+      try {
+        fs.writeFileSync(tempFile, json);
+        fs.renameSync(tempFile, this.filePath);
+      } catch (error) {
+        this.app.error(`Error saving ${this.label}:`, error);
+      }
+      return;
+    }
+
+    // One asynchronous write at a time; only the newest data requested meanwhile is kept
+    if (this.writing) {
+      this.pending = json;
+      return;
+    }
+    this.startWrite(json);
+  }
+
+  startWrite(json) {
+    const sequence = ++this.sequence;
+    const tempFile = this.tempFile(sequence);
+    this.writing = true;
+
+    fs.writeFile(tempFile, json, error => {
+      this.writing = false;
+
+      if (error) {
+        this.app.error(`Error saving ${this.label}:`, error);
+      } else if (sequence !== this.sequence) {
+        fs.unlink(tempFile, () => {}); // A synchronous write has replaced the file since
+      } else {
+        // Renamed synchronously so a synchronous write can't run between the check and the rename
+        try {
+          fs.renameSync(tempFile, this.filePath);
+        } catch (renameError) {
+          this.app.error(`Error saving ${this.label}:`, renameError);
+        }
+      }
+
+      if (this.pending !== null) {
+        const next = this.pending;
+        this.pending = null;
+        this.startWrite(next);
+      }
+    });
+  }
+
+  tempFile(sequence) {
+    return `${this.filePath}.${process.pid}-${sequence}.tmp`;
+  }
+}
+
+module.exports = JsonFile;
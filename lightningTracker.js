@@ -0,0 +1,164 @@
+// Lightning strike tracking: rolling strike window, storm approach trend and proximity alerts
+const { createNotificationDelta } = require('./notifications');
+
+const SOURCE = 'zennora-weatherflow-lightning';
+
+// Rank notification states so alerts only escalate until the all-clear
+const STATE_RANK = { normal: 0, warn: 1, alarm: 2 };
+
+class LightningTracker {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.windowMs = (options.windowMinutes || 30) * 60 * 1000;
+    this.warnDistance = (options.warnDistance || 20) * 1000; // km to m
+    this.alarmDistance = (options.alarmDistance || 10) * 1000; // km to m
+    this.warnArrivalTime = (options.warnArrivalMinutes || 30) * 60; // minutes to s
+    this.allClearMs = (options.allClearMinutes || 30) * 60 * 1000;
+    this.notificationPath = options.notificationPath || 'notifications.environment.lightning';
+    this.strikes = [];
+    this.lastCloseStrikeTime = null;
+    this.lastApproachWarningTime = null;
+    this.notificationState = 'normal';
+  }
+
+  // Record an individual evt_strike (distance in km, energy dimensionless)
+  addStrike(timeEpoch, distanceKm, energy) {
+    if (typeof distanceKm !== 'number') return;
+
+    const strike = {
+      time: timeEpoch * 1000,
+      distance: distanceKm * 1000,
+      energy: energy !== undefined ? energy : null
+    };
+    this.strikes.push(strike);
+
+    if (strike.distance <= this.warnDistance) {
+      this.lastCloseStrikeTime = Math.max(this.lastCloseStrikeTime || 0, strike.time);
+    }
+  }
+
+  // Record the strike summary from an observation, filling in strikes that were missed as events
+  addObservation(timeEpoch, strikeCount, avgDistanceKm, reportIntervalMinutes) {
+    if (!strikeCount || typeof avgDistanceKm !== 'number') return;
+
+    const end = timeEpoch * 1000;
+    const start = end - (reportIntervalMinutes || 1) * 60 * 1000;
+    const seen = this.strikes.filter(strike => strike.time > start && strike.time <= end).length;
+
+    for (let i = seen; i < strikeCount; i++) {
+      this.addStrike(timeEpoch, avgDistanceKm, null);
+    }
+  }
+
+  // Drop strikes that have left the rolling window
+  prune(now) {
+    this.strikes = this.strikes.filter(strike => now - strike.time <= this.windowMs);
+  }
+
+  // Least squares fit of strike distance against time; slope in m/s
+  fitDistanceTrend(now) {
+    if (this.strikes.length < 3) return null;
+
+    const first = this.strikes[0].time;
+    const last = this.strikes[this.strikes.length - 1].time;
+    if (last - first < 2 * 60 * 1000) return null; // Need at least two minutes of spread
+
+    const n = this.strikes.length;
+    let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+    this.strikes.forEach(strike => {
+      const x = (strike.time - now) / 1000;
+      sumX += x;
+      sumY += strike.distance;
+      sumXY += x * strike.distance;
+      sumXX += x * x;
+    });
+
+    const denominator = n * sumXX - sumX * sumX;
+    if (denominator === 0) return null;
+
+    const slope = (n * sumXY - sumX * sumY) / denominator;
+    const intercept = (sumY - slope * sumX) / n; // Fitted distance now
+    return { slope, intercept };
+  }
+
+  // Analyse the strike window; returns the published summary and any notification deltas
+  analyse(now = Date.now()) {
+    this.strikes.sort((a, b) => a.time - b.time);
+    this.prune(now);
+
+    const count = this.strikes.length;
+    const nearest = count > 0 ? Math.min(...this.strikes.map(strike => strike.distance)) : null;
+    const lastStrike = count > 0 ? this.strikes[count - 1] : null;
+
+    let trend = count > 0 ? 'unknown' : 'none';
+    let approachSpeed = null;
+    let timeToArrival = null;
+
+    const fit = this.fitDistanceTrend(now);
+    if (fit) {
+      if (fit.slope < -1) {
+        trend = 'approaching';
+        approachSpeed = -fit.slope;
+        timeToArrival = Math.max(0, fit.intercept) / approachSpeed;
+      } else if (fit.slope > 1) {
+        trend = 'receding';
+        approachSpeed = -fit.slope;
+      } else {
+        trend = 'stationary';
+        approachSpeed = 0;
+      }
+    }
+
+    const summary = {
+      strikeCount: count,
+      strikeRate: count / (this.windowMs / 1000),
+      nearestStrikeDistance: nearest,
+      lastStrikeDistance: lastStrike ? lastStrike.distance : null,
+      lastStrikeTime: lastStrike ? new Date(lastStrike.time).toISOString() : null,
+      stormTrend: trend,
+      stormApproachSpeed: approachSpeed,
+      stormArrivalTime: timeToArrival
+    };
+
+    return {
+      summary,
+      notificationDeltas: this.evaluateNotification(now, nearest, trend, timeToArrival)
+    };
+  }
+
+  // Escalate on close or approaching strikes, clear only after the all-clear period
+  evaluateNotification(now, nearest, trend, timeToArrival) {
+    let state = 'normal';
+    let message = null;
+
+    if (nearest !== null && nearest <= this.alarmDistance) {
+      state = 'alarm';
+      message = `Lightning within ${(nearest / 1000).toFixed(0)} km`;
+    } else if (nearest !== null && nearest <= this.warnDistance) {
+      state = 'warn';
+      message = `Lightning within ${(nearest / 1000).toFixed(0)} km`;
+    } else if (trend === 'approaching' && timeToArrival !== null && timeToArrival <= this.warnArrivalTime) {
+      state = 'warn';
+      message = `Lightning approaching, estimated arrival in ${Math.round(timeToArrival / 60)} min`;
+      this.lastApproachWarningTime = now;
+    }
+
+    if (state === 'normal' && this.notificationState !== 'normal') {
+      const quietSince = Math.max(this.lastCloseStrikeTime || 0, this.lastApproachWarningTime || 0);
+      if (now - quietSince < this.allClearMs) {
+        return []; // Hold the current alert until the all-clear period has passed
+      }
+      this.app.debug('Lightning all clear');
+      this.notificationState = 'normal';
+      return [createNotificationDelta(this.notificationPath, 'normal', 'Lightning all clear', SOURCE)];
+    }
+
+    if (STATE_RANK[state] <= STATE_RANK[this.notificationState]) return [];
+
+    this.app.debug(`Lightning notification: ${state} - ${message}`);
+    this.notificationState = state;
+    return [createNotificationDelta(this.notificationPath, state, message, SOURCE)];
+  }
+}
+
+module.exports = LightningTracker;
@@ -0,0 +1,254 @@
+// Metadata for every path the plugin publishes: display name, description, units and alarm zones
+// The SignalK server turns zone crossings into notifications, so no separate alarm plugin is needed
+
+// Beaufort scale upper limits in m/s with the zone state raised in each band
+const BEAUFORT = [
+  [0.5, 'nominal', 'Calm'],
+  [1.6, 'nominal', 'Light air'],
+  [3.4, 'nominal', 'Light breeze'],
+  [5.5, 'nominal', 'Gentle breeze'],
+  [8.0, 'nominal', 'Moderate breeze'],
+  [10.8, 'nominal', 'Fresh breeze'],
+  [13.9, 'alert', 'Strong breeze'],
+  [17.2, 'warn', 'Near gale'],
+  [20.8, 'alarm', 'Gale'],
+  [24.5, 'alarm', 'Strong gale'],
+  [28.5, 'emergency', 'Storm'],
+  [32.7, 'emergency', 'Violent storm'],
+  [null, 'emergency', 'Hurricane force']
+];
+
+const BEAUFORT_ZONES = BEAUFORT.map(([upper, state, name], force) => {
+  const zone = { lower: force === 0 ? 0 : BEAUFORT[force - 1][0] };
+  if (upper !== null) zone.upper = upper;
+  return Object.assign(zone, { state, message: `Beaufort ${force}: ${name}` });
+});
+
+// UV index bands (WHO)
+const UV_ZONES = [
+  { lower: 0, upper: 3, state: 'nominal', message: 'UV index low' },
+  { lower: 3, upper: 6, state: 'normal', message: 'UV index moderate' },
+  { lower: 6, upper: 8, state: 'alert', message: 'UV index high' },
+  { lower: 8, upper: 11, state: 'warn', message: 'UV index very high' },
+  { lower: 11, state: 'alarm', message: 'UV index extreme' }
+];
+
+// Air temperature in K: below freezing and above 35 °C
+const TEMPERATURE_ZONES = [
+  { upper: 273.15, state: 'warn', message: 'Temperature below freezing' },
+  { lower: 273.15, upper: 308.15, state: 'normal' },
+  { lower: 308.15, state: 'warn', message: 'Temperature above 35 °C' }
+];
+
+const WIND_SPEED = { units: 'm/s' };
+
+// Default zones by quantity; each goes on one path, chosen by the plugin, so a crossing raises one notification
+const DEFAULT_ZONES = {
+  windSpeed: BEAUFORT_ZONES,
+  temperature: TEMPERATURE_ZONES,
+  uvIndex: UV_ZONES
+};
+
+// Metadata by value name, the last segment of the path
+const BY_NAME = {
+  timeEpoch: { displayName: 'Observation Time', description: 'Time of the observation (seconds since 1970)', units: 's' },
+  windLull: { displayName: 'Wind Lull', description: 'Minimum 3 second wind speed over the report interval', ...WIND_SPEED },
+  windAvg: { displayName: 'Wind Average', description: 'Average wind speed over the report interval', ...WIND_SPEED },
+  windGust: { displayName: 'Wind Gust', description: 'Maximum 3 second wind speed over the report interval', ...WIND_SPEED },
+  windSpeed: { displayName: 'Wind Speed', description: 'Rapid wind speed sample', ...WIND_SPEED },
+  windDirection: { displayName: 'Wind Direction', description: 'Wind direction reported by the sensor', units: 'rad' },
+  windSampleInterval: { displayName: 'Wind Sample Interval', description: 'Interval between rapid wind samples', units: 's' },
+  stationPressure: { displayName: 'Station Pressure', description: 'Barometric pressure at the station', units: 'Pa' },
+  pressure: { displayName: 'Outside Pressure', description: 'Barometric pressure at the station', units: 'Pa' },
+  seaLevelPressure: { displayName: 'Sea Level Pressure', description: 'Station pressure reduced to sea level', units: 'Pa' },
+  pressureChange1h: { displayName: 'Pressure Change 1 h', description: 'Sea level pressure change over the last hour', units: 'Pa' },
+  pressureChange3h: { displayName: 'Pressure Change 3 h', description: 'Sea level pressure change over the last 3 hours', units: 'Pa' },
+  pressureTendencyCode: { displayName: 'Pressure Tendency Code', description: 'WMO pressure tendency characteristic (code table 0200)' },
+  pressureTendency: { displayName: 'Pressure Tendency', description: 'Rising, falling or steady' },
+  airTemperature: { displayName: 'Air Temperature', description: 'Outside air temperature', units: 'K' },
+  temperature: { displayName: 'Outside Temperature', description: 'Outside air temperature', units: 'K' },
+  relativeHumidity: { displayName: 'Relative Humidity', description: 'Relative humidity', units: 'ratio' },
+  illuminance: { displayName: 'Illuminance', description: 'Light level', units: 'lux' },
+  uvIndex: { displayName: 'UV Index', description: 'Ultraviolet index' },
+  solarRadiation: { displayName: 'Solar Radiation', description: 'Global solar radiation', units: 'W/m2' },
+  rainAccumulated: { displayName: 'Rain', description: 'Rain over the report interval', units: 'm' },
+  rainAccumulatedFinal: { displayName: 'Rain (checked)', description: 'Rain over the report interval after Rain Check', units: 'm' },
+  localDailyRainAccumulation: { displayName: 'Rain Today', description: 'Rain since local midnight reported by WeatherFlow', units: 'm' },
+  localDailyRainAccumulationFinal: { displayName: 'Rain Today (checked)', description: 'Rain since local midnight after Rain Check', units: 'm' },
+  precipitationType: { displayName: 'Precipitation Type', description: '0 none, 1 rain, 2 hail, 3 rain and hail' },
+  precipitationAnalysisType: { displayName: 'Precipitation Analysis', description: 'Rain Check analysis type' },
+  lightningStrikeAvgDistance: { displayName: 'Lightning Distance', description: 'Average strike distance', units: 'm' },
+  lightningStrikeCount: { displayName: 'Lightning Strikes', description: 'Strikes in the report interval' },
+  energy: { displayName: 'Strike Energy', description: 'Relative energy of the lightning strike' },
+  battery: { displayName: 'Battery Voltage', description: 'Station battery voltage', units: 'V' },
+  voltage: { displayName: 'Battery Voltage', description: 'Device battery voltage', units: 'V' },
+  reportInterval: { displayName: 'Report Interval', description: 'Interval between observations', units: 's' },
+  dewPoint: { displayName: 'Dew Point', description: 'Dew point temperature', units: 'K' },
+  dewPointTemperature: { displayName: 'Dew Point', description: 'Dew point temperature', units: 'K' },
+  dewPointSpread: { displayName: 'Dew Point Spread', description: 'Air temperature minus dew point', units: 'K' },
+  wetBulbTemperature: { displayName: 'Wet Bulb', description: 'Wet bulb temperature', units: 'K' },
+  wetBulbGlobeTemperature: { displayName: 'WBGT', description: 'Wet bulb globe temperature (heat stress)', units: 'K' },
+  deltaT: { displayName: 'Delta T', description: 'Air temperature minus wet bulb temperature', units: 'K' },
+  absoluteHumidity: { displayName: 'Absolute Humidity', description: 'Water vapour density', units: 'kg/m3' },
+  airDensity: { displayName: 'Air Density', description: 'Density of moist air', units: 'kg/m3' },
+  windChill: { displayName: 'Wind Chill', description: 'Wind chill temperature', units: 'K' },
+  apparentWindChillTemperature: { displayName: 'Wind Chill', description: 'Wind chill temperature', units: 'K' },
+  heatIndex: { displayName: 'Heat Index', description: 'Heat index temperature', units: 'K' },
+  heatIndexTemperature: { displayName: 'Heat Index', description: 'Heat index temperature', units: 'K' },
+  apparentTemperature: { displayName: 'Apparent Temperature', description: 'Steadman apparent temperature', units: 'K' },
+  feelsLike: { displayName: 'Feels Like', description: 'Feels-like temperature', units: 'K' },
+  accumulationLastHour: { displayName: 'Rain Last Hour', description: 'Rain over the last hour', units: 'm' },
+  accumulationLast24Hours: { displayName: 'Rain Last 24 h', description: 'Rain over the last 24 hours', units: 'm' },
+  accumulationToday: { displayName: 'Rain Today', description: 'Rain since local midnight', units: 'm' },
+  accumulationMonthToDate: { displayName: 'Rain This Month', description: 'Rain since the start of the month', units: 'm' },
+  accumulationYearToDate: { displayName: 'Rain This Year', description: 'Rain since the start of the year', units: 'm' },
+  accumulationSinceMarker: { displayName: 'Rain Since Marker', description: 'Rain since the marker was last reset', units: 'm' },
+  accumulationMarkerTime: { displayName: 'Rain Marker Time', description: 'When the rain marker was last reset' },
+  rainRate: { displayName: 'Rain Rate', description: 'Rainfall rate', units: 'm/s' },
+  rainIntensity: { displayName: 'Rain Intensity', description: 'None, light, moderate or heavy' },
+  raining: { displayName: 'Raining', description: 'Whether it is raining' },
+  lastRainStart: { displayName: 'Rain Started', description: 'When rain last started' },
+  lastRainStop: { displayName: 'Rain Stopped', description: 'When rain last stopped' },
+  strikeCount: { displayName: 'Lightning Strikes', description: 'Strikes in the tracking window' },
+  strikeRate: { displayName: 'Strike Rate', description: 'Lightning strike rate', units: 'Hz' },
+  nearestStrikeDistance: { displayName: 'Nearest Strike', description: 'Distance of the nearest strike in the tracking window', units: 'm' },
+  lastStrikeDistance: { displayName: 'Last Strike Distance', description: 'Distance of the most recent strike', units: 'm' },
+  lastStrikeTime: { displayName: 'Last Strike', description: 'Time of the most recent strike' },
+  stormTrend: { displayName: 'Storm Trend', description: 'Approaching, receding, stationary, unknown or none' },
+  stormApproachSpeed: { displayName: 'Storm Approach Speed', description: 'Closing speed of the storm', units: 'm/s' },
+  stormArrivalTime: { displayName: 'Storm Arrival', description: 'Estimated time until the storm reaches the station', units: 's' },
+  serialNumber: { displayName: 'Serial Number', description: 'Device serial number' },
+  hubSn: { displayName: 'Hub Serial Number', description: 'Serial number of the hub the device reports through' },
+  uptime: { displayName: 'Uptime', description: 'Time since the device last restarted', units: 's' },
+  firmwareRevision: { displayName: 'Firmware', description: 'Firmware revision' },
+  rssi: { displayName: 'Signal Strength', description: 'Received signal strength', units: 'dBm' },
+  hubRssi: { displayName: 'Hub Signal Strength', description: 'Signal strength at the hub', units: 'dBm' },
+  sensorStatus: { displayName: 'Sensor Status', description: 'Sensor status bitfield' },
+  time: { displayName: 'Time', description: 'Time the values apply to (seconds since 1970)', units: 's' },
+  datetime: { displayName: 'Time', description: 'Time the values apply to' },
+  conditions: { displayName: 'Conditions', description: 'Text summary of the conditions' },
+  icon: { displayName: 'Icon', description: 'WeatherFlow conditions icon name' },
+  uv: { displayName: 'UV Index', description: 'Ultraviolet index' },
+  brightness: { displayName: 'Brightness', description: 'Light level', units: 'lux' },
+  pressureTrend: { displayName: 'Pressure Trend', description: 'Rising, falling or steady as reported by WeatherFlow' },
+  windDirectionCardinal: { displayName: 'Wind Direction (cardinal)', description: 'Compass point the wind blows from' },
+  precip: { displayName: 'Precipitation', description: 'Precipitation amount', units: 'm' },
+  precipProbability: { displayName: 'Precipitation Probability', description: 'Chance of precipitation', units: 'ratio' },
+  precipType: { displayName: 'Precipitation Type', description: 'Rain, snow, sleet or storm' },
+  precipIcon: { displayName: 'Precipitation Icon', description: 'WeatherFlow precipitation icon name' },
+  precipAccumLocalDay: { displayName: 'Rain Today', description: 'Rain since local midnight reported by WeatherFlow', units: 'm' },
+  precipAccumLocalYesterday: { displayName: 'Rain Yesterday', description: 'Rain during the previous local day', units: 'm' },
+  precipMinutesLocalDay: { displayName: 'Rain Duration Today', description: 'Time it has rained since local midnight', units: 's' },
+  precipMinutesLocalYesterday: { displayName: 'Rain Duration Yesterday', description: 'Time it rained during the previous local day', units: 's' },
+  lightningStrikeLastDistance: { displayName: 'Last Strike Distance', description: 'Distance of the most recent strike', units: 'm' },
+  lightningStrikeLastEpoch: { displayName: 'Last Strike', description: 'Time of the most recent strike (seconds since 1970)', units: 's' },
+  lightningStrikeCountLast1hr: { displayName: 'Strikes Last Hour', description: 'Lightning strikes in the last hour' },
+  lightningStrikeCountLast3hr: { displayName: 'Strikes Last 3 h', description: 'Lightning strikes in the last 3 hours' },
+  airTempHigh: { displayName: 'High Temperature', description: 'Daily high air temperature', units: 'K' },
+  airTempLow: { displayName: 'Low Temperature', description: 'Daily low air temperature', units: 'K' },
+  dayStartLocal: { displayName: 'Day Start', description: 'Local midnight starting the day (seconds since 1970)', units: 's' },
+  sunrise: { displayName: 'Sunrise', description: 'Sunrise (seconds since 1970)', units: 's' },
+  sunset: { displayName: 'Sunset', description: 'Sunset (seconds since 1970)', units: 's' },
+  localHour: { displayName: 'Local Hour', description: 'Hour of the day at the station' },
+  localDay: { displayName: 'Local Day', description: 'Day of the month at the station' },
+  dayNum: { displayName: 'Day', description: 'Day of the month' },
+  monthNum: { displayName: 'Month', description: 'Month of the year' },
+  code: { displayName: 'Zambretti Code', description: 'Zambretti forecast letter, A (settled fine) to Z (stormy, much rain)' },
+  text: { displayName: 'Local Forecast', description: 'Zambretti forecast from the local pressure history and wind' },
+  confidence: { displayName: 'Forecast Confidence', description: 'Lowered while the pressure history or wind direction is missing', units: 'ratio' },
+  method: { displayName: 'Forecast Method', description: 'How the local forecast was made' },
+  cloudForecastCurrent: { displayName: 'Cloud Forecast Current', description: 'Whether the WeatherFlow forecast is up to date; show the local forecast when it is not' },
+  bias: { displayName: 'Bias', description: 'Mean of forecast minus observed' },
+  mae: { displayName: 'Mean Absolute Error', description: 'Mean size of the forecast error' },
+  rmse: { displayName: 'RMS Error', description: 'Root mean square forecast error' },
+  count: { displayName: 'Verified Forecasts', description: 'Number of forecasts compared with observations' },
+  activeSource: { displayName: 'Active Source', description: 'Source currently feeding these values (udp, websocket or rest)' },
+  dataStale: { displayName: 'Data Stale', description: 'Whether the channel feeding these values has stopped delivering' }
+};
+
+// Metadata for wind calculation paths
+const BY_PATH = {
+  'environment.wind.speedApparent': { displayName: 'Apparent Wind Speed', description: 'Apparent wind speed', ...WIND_SPEED },
+  'environment.wind.angleApparent': { displayName: 'Apparent Wind Angle', description: 'Apparent wind angle, negative to port', units: 'rad' },
+  'environment.wind.speedApparentUncorrected': { displayName: 'Apparent Wind Speed (raw)', description: 'Apparent wind speed before motion compensation', units: 'm/s' },
+  'environment.wind.angleApparentUncorrected': { displayName: 'Apparent Wind Angle (raw)', description: 'Apparent wind angle before motion compensation', units: 'rad' },
+  'environment.wind.angleTrueGround': { displayName: 'True Wind Angle (ground)', description: 'True wind angle relative to the bow, ground referenced', units: 'rad' },
+  'environment.wind.angleTrueWater': { displayName: 'True Wind Angle (water)', description: 'True wind angle relative to the bow, water referenced', units: 'rad' },
+  'environment.wind.directionTrue': { displayName: 'True Wind Direction', description: 'Ground wind direction relative to true north', units: 'rad' },
+  'environment.wind.directionMagnetic': { displayName: 'Magnetic Wind Direction', description: 'Ground wind direction relative to magnetic north', units: 'rad' },
+  'environment.wind.speedTrue': { displayName: 'True Wind Speed', description: 'True wind speed relative to the water', ...WIND_SPEED },
+  'environment.wind.speedOverGround': { displayName: 'Ground Wind Speed', description: 'True wind speed over ground', ...WIND_SPEED },
+  'environment.wind.speedTrue10m': { displayName: 'Wind Speed 10 m', description: 'Ground wind speed normalised to 10 m height', ...WIND_SPEED },
+  'environment.wind.anchorMode': { displayName: 'Anchor Mode', description: 'Whether anchor mode is on' },
+  'environment.wind.anchorReferenceDirection': { displayName: 'Anchoring Wind Direction', description: 'Smoothed true wind direction when anchor mode started', units: 'rad' },
+  'environment.wind.anchorWindShift': { displayName: 'Wind Shift at Anchor', description: 'Shift of the true wind since anchoring', units: 'rad' },
+  'environment.wind.anchorLyingDirection': { displayName: 'Lying Direction', description: 'Wind direction the boat is lying to', units: 'rad' },
+  'environment.wind.anchorSwingAngle': { displayName: 'Swing Angle', description: 'Angle between where the boat lies and the current wind', units: 'rad' },
+  'environment.wind.stationDistance': { displayName: 'Station Distance', description: 'Distance from the vessel to the fixed station', units: 'm' },
+  'environment.wind.expected.speedApparent': { displayName: 'Expected Apparent Wind Speed', description: 'Apparent wind speed expected on board from the fixed station\'s wind and the vessel\'s motion', units: 'm/s' },
+  'environment.wind.expected.angleApparent': { displayName: 'Expected Apparent Wind Angle', description: 'Apparent wind angle expected on board from the fixed station\'s wind, negative to port', units: 'rad' },
+  'environment.wind.expected.angleTrueGround': { displayName: 'Expected True Wind Angle (ground)', description: 'True wind angle relative to the bow from the fixed station\'s wind', units: 'rad' }
+};
+
+class MetadataRegistry {
+  constructor(options = {}) {
+    // Battery zones follow the configured notification thresholds
+    const warnVoltage = options.batteryWarnVoltage || 2.41;
+    const alarmVoltage = options.batteryAlarmVoltage || 2.355;
+    this.batteryZones = [
+      { upper: alarmVoltage, state: 'alarm', message: 'Battery critically low' },
+      { lower: alarmVoltage, upper: warnVoltage, state: 'warn', message: 'Battery low' },
+      { lower: warnVoltage, state: 'normal' }
+    ];
+    this.batteryPaths = new Set(); // Tempest device status voltages; AIR and Sky batteries have other thresholds
+
+    // Default zones on the path chosen for each quantity, by full path
+    this.pathZones = {};
+    const canonicalPaths = {}; // value name -> the one path its zones belong on
+    Object.entries(options.zonePaths || {}).forEach(([quantity, zonePath]) => {
+      if (!zonePath || !DEFAULT_ZONES[quantity]) return;
+      this.pathZones[zonePath.path] = DEFAULT_ZONES[quantity];
+      canonicalPaths[zonePath.key] = zonePath.path;
+    });
+
+    // User zones by full path or value name; a zoned quantity's value name replaces the defaults on its one path
+    // instead of zoning every path ending in that name, e.g. a cabin AIR's airTemperature
+    this.nameZones = {};
+    (options.zoneOverrides || []).forEach(({ key, zones }) => {
+      if (!key || !Array.isArray(zones)) return;
+      if (key.includes('.')) {
+        this.pathZones[key] = zones;
+      } else if (canonicalPaths[key]) {
+        this.pathZones[canonicalPaths[key]] = zones;
+      } else {
+        this.nameZones[key] = zones;
+      }
+    });
+  }
+
+  // Give a Tempest's device status voltage the battery zones, before the path is first published
+  addBatteryPath(path) {
+    this.batteryPaths.add(path);
+  }
+
+  // Metadata for a published path, or null when none is known
+  lookup(path) {
+    const key = path.substring(path.lastIndexOf('.') + 1);
+    const known = BY_PATH[path] || BY_NAME[key];
+    if (!known) return null;
+
+    const meta = Object.assign({}, known);
+    if (this.batteryPaths.has(path)) meta.zones = this.batteryZones;
+    const zones = this.pathZones[path] || this.nameZones[key];
+    if (zones) meta.zones = zones;
+
+    // Forecast values describe the future, so they never raise zone notifications
+    if (path.includes('.forecast.')) {
+      meta.displayName = `Forecast ${meta.displayName}`;
+      delete meta.zones;
+    }
+    return meta;
+  }
+}
+
+module.exports = MetadataRegistry;
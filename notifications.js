@@ -0,0 +1,34 @@
+// Helpers for building SignalK notification deltas
+
+// Notification methods used for each state
+const NOTIFICATION_METHODS = {
+  normal: [],
+  alert: ['visual'],
+  warn: ['visual'],
+  alarm: ['visual', 'sound'],
+  emergency: ['visual', 'sound']
+};
+
+// Create a SignalK delta raising (or clearing, with state 'normal') a notification
+// extra adds fields to the notification value, e.g. an expected onset time
+function createNotificationDelta(path, state, message, source, extra) {
+  return {
+    context: 'vessels.self',
+    updates: [{
+      $source: source || 'zennora-weatherflow-notifications',
+      timestamp: new Date().toISOString(),
+      values: [{
+        path: path,
+        value: Object.assign({
+          state: state,
+          method: NOTIFICATION_METHODS[state] || ['visual'],
+          message: message
+        }, extra)
+      }]
+    }]
+  };
+}
+
+module.exports = {
+  createNotificationDelta
+};
@@ -0,0 +1,75 @@
+// Maps observation values onto the standard SignalK specification paths, e.g.
+// environment.outside.tempest.observations.airTemperature -> environment.outside.temperature
+
+// Default table: value name under an observation path -> SignalK specification path
+const DEFAULT_MAPPINGS = {
+  airTemperature: 'environment.outside.temperature',
+  stationPressure: 'environment.outside.pressure',
+  relativeHumidity: 'environment.outside.relativeHumidity',
+  illuminance: 'environment.outside.illuminance',
+  dewPoint: 'environment.outside.dewPointTemperature',
+  airDensity: 'environment.outside.airDensity',
+  absoluteHumidity: 'environment.outside.absoluteHumidity',
+  heatIndex: 'environment.outside.heatIndexTemperature',
+  windChill: 'environment.outside.apparentWindChillTemperature'
+};
+
+class PathMapper {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.keepLegacyPaths = options.keepLegacyPaths !== false;
+    this.basePaths = new Set(options.basePaths || []); // observation paths whose values are mapped
+
+    // User entries override, add to or disable entries of the default table
+    this.mappings = Object.assign({}, DEFAULT_MAPPINGS);
+    (options.mappings || []).forEach(({ key, path, enabled }) => {
+      if (!key) return;
+      if (enabled === false) {
+        delete this.mappings[key];
+      } else if (path) {
+        this.mappings[key] = path;
+      }
+    });
+  }
+
+  // Standard path for a published path, or null when it isn't mapped
+  standardPath(path) {
+    const separator = path.lastIndexOf('.');
+    if (!this.basePaths.has(path.substring(0, separator))) return null;
+    return this.mappings[path.substring(separator + 1)] || null;
+  }
+
+  // Standard path a value name is published on, or null when it isn't mapped or no observations are
+  mappedPath(key) {
+    return this.basePaths.size > 0 ? this.mappings[key] || null : null;
+  }
+
+  // Value name a path is published from: the mapped value's for a standard path, else the last segment
+  valueName(path) {
+    const key = Object.keys(this.mappings).find(name => this.mappings[name] === path);
+    return key || path.substring(path.lastIndexOf('.') + 1);
+  }
+
+  // Copy of a delta with mapped values (and their meta) added or, without legacy paths, substituted
+  mapDelta(delta) {
+    const mapEntries = entries => {
+      const mapped = [];
+      (entries || []).forEach(entry => {
+        const standardPath = this.standardPath(entry.path);
+        if (standardPath) mapped.push(Object.assign({}, entry, { path: standardPath }));
+        if (!standardPath || this.keepLegacyPaths) mapped.push(entry);
+      });
+      return mapped;
+    };
+
+    return Object.assign({}, delta, {
+      updates: delta.updates.map(update => {
+        const mapped = Object.assign({}, update, { values: mapEntries(update.values) });
+        if (update.meta) mapped.meta = mapEntries(update.meta);
+        return mapped;
+      })
+    });
+  }
+}
+
+module.exports = PathMapper;
@@ -0,0 +1,143 @@
+// Sea-level pressure reduction, pressure history and WMO tendency from local station pressure
+// Pressures are handled in MB (hPa) like the WeatherFlow data and converted to Pa when published
+const { createNotificationDelta } = require('./notifications');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SOURCE = 'zennora-weatherflow-pressure';
+
+class PressureTendency {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.sensorHeight = options.sensorHeight || 0; // m above sea level
+    this.steadyThreshold = options.steadyThreshold || 1; // MB over 3 h
+    this.rapidFallThreshold = options.rapidFallThreshold || 2; // MB over 1 h
+    this.history = []; // { time (ms), pressure (MB, sea level) }
+    this.rapidFallActive = false;
+    this.notificationPath = options.notificationPath || 'notifications.environment.outside.pressure.rapidFall';
+  }
+
+  // Reduce station pressure (MB) to sea level using the hypsometric equation; air temperature in °C
+  toSeaLevel(stationPressure, airTemperature) {
+    if (typeof stationPressure !== 'number') return null;
+    if (!this.sensorHeight) return stationPressure;
+
+    const temperatureK = (typeof airTemperature === 'number' ? airTemperature : 15) + 273.15;
+    const g = 9.80665;
+    const Rd = 287.05;
+    // Use the mean temperature of the air column between sensor and sea level (standard lapse rate)
+    const meanTemperature = temperatureK + 0.0065 * this.sensorHeight / 2;
+    return stationPressure * Math.exp(g * this.sensorHeight / (Rd * meanTemperature));
+  }
+
+  // Add a station pressure reading (MB) and air temperature (°C); returns the sea-level pressure (MB)
+  addObservation(timeEpoch, stationPressure, airTemperature) {
+    const seaLevelPressure = this.toSeaLevel(stationPressure, airTemperature);
+    if (seaLevelPressure === null) return null;
+
+    const time = timeEpoch * 1000;
+    if (this.history.length > 0 && time <= this.history[this.history.length - 1].time) {
+      return seaLevelPressure; // Ignore duplicate or out-of-order readings
+    }
+
+    this.history.push({ time, pressure: seaLevelPressure });
+    this.history = this.history.filter(entry => time - entry.time <= 3.5 * HOUR_MS);
+    return seaLevelPressure;
+  }
+
+  // Forget the history, when readings from another sensor take over
+  reset() {
+    this.history = [];
+  }
+
+  // Pressure reading closest to the given age, if history reaches back far enough
+  pressureAgo(ageMs) {
+    if (this.history.length === 0) return null;
+
+    const latest = this.history[this.history.length - 1];
+    const target = latest.time - ageMs;
+    if (this.history[0].time > target + 5 * 60 * 1000) return null; // Not enough history yet
+
+    let closest = this.history[0];
+    this.history.forEach(entry => {
+      if (Math.abs(entry.time - target) < Math.abs(closest.time - target)) {
+        closest = entry;
+      }
+    });
+    return closest;
+  }
+
+  // WMO code table 0200 pressure tendency characteristic from the 3 h history
+  tendencyCharacteristic(change3h) {
+    const latest = this.history[this.history.length - 1];
+    const threeHoursAgo = this.pressureAgo(3 * HOUR_MS);
+    const middle = this.pressureAgo(1.5 * HOUR_MS);
+    if (!threeHoursAgo || !middle) return null;
+
+    const firstHalf = middle.pressure - threeHoursAgo.pressure;
+    const secondHalf = latest.pressure - middle.pressure;
+    const small = this.steadyThreshold / 4;
+
+    if (Math.abs(change3h) < this.steadyThreshold / 2 && Math.abs(firstHalf) < small && Math.abs(secondHalf) < small) {
+      return 4; // Steady
+    }
+    if (change3h >= 0) {
+      if (firstHalf > small && secondHalf < -small) return 0; // Increasing, then decreasing
+      if (firstHalf > small && Math.abs(secondHalf) <= small) return 1; // Increasing, then steady
+      if (firstHalf < -small && secondHalf > small) return 3; // Decreasing or steady, then increasing
+      if (secondHalf > firstHalf + small) return 3; // Increasing more rapidly
+      return 2; // Increasing steadily or unsteadily
+    }
+    if (firstHalf < -small && secondHalf > small) return 5; // Decreasing, then increasing
+    if (firstHalf < -small && Math.abs(secondHalf) <= small) return 6; // Decreasing, then steady
+    if (firstHalf > small && secondHalf < -small) return 8; // Steady or increasing, then decreasing
+    if (secondHalf < firstHalf - small) return 8; // Decreasing more rapidly
+    return 7; // Decreasing steadily or unsteadily
+  }
+
+  // Summary of the current tendency; returns the published values and any notification deltas
+  analyse() {
+    if (this.history.length === 0) return { summary: null, notificationDeltas: [] };
+
+    const latest = this.history[this.history.length - 1];
+    const oneHourAgo = this.pressureAgo(HOUR_MS);
+    const threeHoursAgo = this.pressureAgo(3 * HOUR_MS);
+    const change1h = oneHourAgo ? latest.pressure - oneHourAgo.pressure : null;
+    const change3h = threeHoursAgo ? latest.pressure - threeHoursAgo.pressure : null;
+
+    let trend = null;
+    if (change3h !== null) {
+      if (change3h > this.steadyThreshold) trend = 'rising';
+      else if (change3h < -this.steadyThreshold) trend = 'falling';
+      else trend = 'steady';
+    }
+
+    const summary = {
+      seaLevelPressure: latest.pressure,
+      pressureChange1h: change1h,
+      pressureChange3h: change3h,
+      pressureTendencyCode: change3h !== null ? this.tendencyCharacteristic(change3h) : null,
+      pressureTendency: trend
+    };
+
+    return { summary, notificationDeltas: this.evaluateRapidFall(change1h) };
+  }
+
+  // Raise the rapid fall notification while the 1 h drop exceeds the threshold
+  evaluateRapidFall(change1h) {
+    if (change1h === null) return [];
+
+    const falling = change1h <= -this.rapidFallThreshold;
+    if (falling === this.rapidFallActive) return [];
+    this.rapidFallActive = falling;
+
+    const path = this.notificationPath;
+    if (falling) {
+      const message = `Rapid pressure fall: ${change1h.toFixed(1)} hPa in the last hour, squall or gale possible`;
+      this.app.debug(message);
+      return [createNotificationDelta(path, 'warn', message, SOURCE)];
+    }
+    return [createNotificationDelta(path, 'normal', 'Pressure fall has eased', SOURCE)];
+  }
+}
+
+module.exports = PressureTendency;
@@ -0,0 +1,199 @@
+// Rain accumulation totals, rainfall rate and rain start/stop tracking, persisted across restarts
+const path = require('path');
+const JsonFile = require('./jsonFile');
+const { createNotificationDelta } = require('./notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SOURCE = 'zennora-weatherflow-rain';
+
+class RainAccumulator {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.lightRate = options.lightRate || 2.5; // mm/h, upper limit of light rain
+    this.heavyRate = options.heavyRate || 7.6; // mm/h, lower limit of heavy rain
+    this.stopMs = (options.rainStopMinutes || 15) * 60 * 1000;
+    this.file = options.dataDir
+      ? new JsonFile(app, path.join(options.dataDir, options.fileName || 'rainAccumulation.json'), 'rain accumulation totals')
+      : null;
+    this.notificationPath = options.notificationPath || 'notifications.environment.rain';
+
+    this.samples = []; // { time (ms), amount (mm) } for the last 24 hours
+    this.totals = {
+      day: null, today: 0,
+      month: null, monthToDate: 0,
+      year: null, yearToDate: 0,
+      sinceMarker: 0, markerTime: new Date().toISOString(),
+      updated: 0
+    };
+    this.raining = false;
+    this.lastRainTime = null;
+    this.lastRainStart = null;
+    this.lastRainStop = null;
+    this.currentRate = 0;
+
+    this.load();
+  }
+
+  // Restore totals from the plugin data directory
+  load() {
+    const saved = this.file ? this.file.read() : null;
+    if (!saved) return;
+
+    Object.assign(this.totals, saved.totals || {});
+    this.samples = Array.isArray(saved.samples) ? saved.samples : [];
+    this.lastRainTime = saved.lastRainTime || null;
+    this.lastRainStart = saved.lastRainStart || null;
+    this.lastRainStop = saved.lastRainStop || null;
+    this.raining = saved.raining === true;
+    this.app.debug('Restored rain accumulation totals from', this.file.filePath);
+  }
+
+  // Write totals to the plugin data directory
+  save(sync = false) {
+    if (!this.file) return;
+
+    this.file.write({
+      totals: this.totals,
+      samples: this.samples,
+      lastRainTime: this.lastRainTime,
+      lastRainStart: this.lastRainStart,
+      lastRainStop: this.lastRainStop,
+      raining: this.raining
+    }, sync);
+  }
+
+  // Local calendar keys used to reset the daily, monthly and yearly totals
+  calendarKeys(time) {
+    const date = new Date(time);
+    const year = `${date.getFullYear()}`;
+    const month = `${year}-${date.getMonth() + 1}`;
+    const day = `${month}-${date.getDate()}`;
+    return { day, month, year };
+  }
+
+  // Reset totals that belong to a previous local day, month or year
+  rollOver(time) {
+    if (time < this.totals.updated) return; // Never roll back to an earlier period
+    this.totals.updated = time;
+
+    const keys = this.calendarKeys(time);
+
+    if (this.totals.day !== keys.day) {
+      this.totals.day = keys.day;
+      this.totals.today = 0;
+    }
+    if (this.totals.month !== keys.month) {
+      this.totals.month = keys.month;
+      this.totals.monthToDate = 0;
+    }
+    if (this.totals.year !== keys.year) {
+      this.totals.year = keys.year;
+      this.totals.yearToDate = 0;
+    }
+  }
+
+  // Add an observation's rain amount (mm over the report interval); returns notification deltas for rain start/stop
+  addObservation(timeEpoch, amountMm, intervalMinutes) {
+    if (typeof amountMm !== 'number') return [];
+
+    const time = timeEpoch * 1000;
+    if (Date.now() - time >= DAY_MS) return []; // Too old to belong to any total
+    if (this.samples.some(sample => sample.time === time)) return []; // Already counted
+
+    this.rollOver(time);
+    this.samples.push({ time, amount: amountMm });
+    this.samples = this.samples.filter(sample => Date.now() - sample.time < DAY_MS);
+
+    // A sample arriving late from before a rollover (delayed UDP, the REST fallback) only counts towards
+    // the periods it falls in; the previous day's total is no longer kept
+    const keys = this.calendarKeys(time);
+    if (keys.day === this.totals.day) this.totals.today += amountMm;
+    if (keys.month === this.totals.month) this.totals.monthToDate += amountMm;
+    if (keys.year === this.totals.year) this.totals.yearToDate += amountMm;
+    this.totals.sinceMarker += amountMm;
+
+    this.currentRate = amountMm / (intervalMinutes || 1) * 60; // mm/h
+
+    const deltas = [];
+    if (amountMm > 0) {
+      this.lastRainTime = time;
+      if (!this.raining) {
+        deltas.push(...this.startRain(time));
+      }
+    } else if (this.raining && this.lastRainTime && time - this.lastRainTime >= this.stopMs) {
+      deltas.push(...this.stopRain(time));
+    }
+
+    this.save();
+    return deltas;
+  }
+
+  // Handle an evt_precip rain start event
+  addRainStartEvent(timeEpoch) {
+    const time = timeEpoch * 1000;
+    this.lastRainTime = time;
+    if (this.raining) return [];
+
+    const deltas = this.startRain(time);
+    this.save();
+    return deltas;
+  }
+
+  startRain(time) {
+    this.raining = true;
+    this.lastRainStart = new Date(time).toISOString();
+    this.app.debug('Rain started at', this.lastRainStart);
+    return [createNotificationDelta(this.notificationPath, 'alert', 'Rain started', SOURCE)];
+  }
+
+  stopRain(time) {
+    this.raining = false;
+    this.lastRainStop = new Date(time).toISOString();
+    this.app.debug('Rain stopped at', this.lastRainStop);
+    return [createNotificationDelta(this.notificationPath, 'normal', 'Rain stopped', SOURCE)];
+  }
+
+  // Reset the user marker total
+  resetMarker() {
+    this.totals.sinceMarker = 0;
+    this.totals.markerTime = new Date().toISOString();
+    this.save();
+  }
+
+  // Classify a rainfall rate in mm/h
+  classifyIntensity(rateMmh) {
+    if (rateMmh <= 0) return 'none';
+    if (rateMmh < this.lightRate) return 'light';
+    if (rateMmh < this.heavyRate) return 'moderate';
+    return 'heavy';
+  }
+
+  // Sum of samples within the given period before now
+  sumSince(now, periodMs) {
+    return this.samples
+      .filter(sample => now - sample.time < periodMs)
+      .reduce((total, sample) => total + sample.amount, 0);
+  }
+
+  // Current totals and rate, converted to SignalK units (m, m/s)
+  getSummary(now = Date.now()) {
+    this.rollOver(now);
+
+    return {
+      accumulationLastHour: this.sumSince(now, 60 * 60 * 1000) / 1000,
+      accumulationLast24Hours: this.sumSince(now, DAY_MS) / 1000,
+      accumulationToday: this.totals.today / 1000,
+      accumulationMonthToDate: this.totals.monthToDate / 1000,
+      accumulationYearToDate: this.totals.yearToDate / 1000,
+      accumulationSinceMarker: this.totals.sinceMarker / 1000,
+      accumulationMarkerTime: this.totals.markerTime,
+      rainRate: this.currentRate / 1000 / 3600,
+      rainIntensity: this.classifyIntensity(this.currentRate),
+      raining: this.raining,
+      lastRainStart: this.lastRainStart,
+      lastRainStop: this.lastRainStop
+    };
+  }
+}
+
+module.exports = RainAccumulator;
@@ -0,0 +1,105 @@
+// Tempest sensor_status bitfield decoding and sensor fault notifications
+const { createNotificationDelta } = require('./notifications');
+
+// Bit masks from the WeatherFlow UDP API device_status documentation
+const SENSOR_STATUS_BITS = {
+  lightningFailed: 0x00001,
+  lightningNoise: 0x00002,
+  lightningDisturber: 0x00004,
+  pressureFailed: 0x00008,
+  temperatureFailed: 0x00010,
+  humidityFailed: 0x00020,
+  windFailed: 0x00040,
+  precipitationFailed: 0x00080,
+  lightUvFailed: 0x00100,
+  powerBoosterDepleted: 0x08000,
+  powerBoosterShorePower: 0x10000
+};
+
+// Flags that raise a notification while set, keyed by flag name
+const SENSOR_FAULTS = {
+  lightningFailed: { name: 'lightning', state: 'alert', label: 'lightning sensor', condition: 'failed' },
+  lightningNoise: { name: 'lightningNoise', state: 'warn', label: 'lightning sensor', condition: 'reports noise' },
+  lightningDisturber: { name: 'lightningDisturber', state: 'warn', label: 'lightning sensor', condition: 'reports disturber' },
+  pressureFailed: { name: 'pressure', state: 'alert', label: 'pressure sensor', condition: 'failed' },
+  temperatureFailed: { name: 'temperature', state: 'alert', label: 'temperature sensor', condition: 'failed' },
+  humidityFailed: { name: 'humidity', state: 'alert', label: 'humidity sensor', condition: 'failed' },
+  windFailed: { name: 'wind', state: 'alert', label: 'wind sensor', condition: 'failed, wind calculations suspended' },
+  precipitationFailed: { name: 'precipitation', state: 'alert', label: 'precipitation sensor', condition: 'failed' },
+  lightUvFailed: { name: 'lightUv', state: 'alert', label: 'light/UV sensor', condition: 'failed' },
+  powerBoosterDepleted: { name: 'powerBooster', state: 'warn', label: 'power booster', condition: 'depleted' }
+};
+
+const SOURCE = 'zennora-weatherflow-status';
+
+class SensorStatusMonitor {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.batteryWarnVoltage = options.batteryWarnVoltage || 2.41;
+    this.batteryAlarmVoltage = options.batteryAlarmVoltage || 2.355;
+    this.notificationBase = options.notificationBase || 'notifications.environment.tempest';
+    this.label = options.label || 'Tempest';
+    this.sensors = this.decode(0);
+    this.batteryState = 'normal';
+  }
+
+  // Decode the sensor_status bitmask into one boolean per flag
+  decode(sensorStatus) {
+    const decoded = {};
+    Object.entries(SENSOR_STATUS_BITS).forEach(([flag, mask]) => {
+      decoded[flag] = (sensorStatus & mask) !== 0;
+    });
+    return decoded;
+  }
+
+  // Update from a device_status sensor_status value; returns notification deltas for flags that changed
+  update(sensorStatus) {
+    const previous = this.sensors;
+    const current = this.decode(sensorStatus || 0);
+    const deltas = [];
+
+    Object.entries(SENSOR_FAULTS).forEach(([flag, fault]) => {
+      if (current[flag] === previous[flag]) return;
+
+      const path = `${this.notificationBase}.sensorFault.${fault.name}`;
+      if (current[flag]) {
+        const message = `${this.label} ${fault.label} ${fault.condition}`;
+        this.app.debug(`Sensor fault raised: ${message}`);
+        deltas.push(createNotificationDelta(path, fault.state, message, SOURCE));
+      } else {
+        this.app.debug(`Sensor fault cleared: ${fault.name}`);
+        deltas.push(createNotificationDelta(path, 'normal', `${this.label} ${fault.label} OK`, SOURCE));
+      }
+    });
+
+    this.sensors = current;
+    return deltas;
+  }
+
+  // Check whether a given sensor ('wind', 'temperature', ...) is currently flagged as failed
+  isSensorFailed(sensor) {
+    return this.sensors[`${sensor}Failed`] === true;
+  }
+
+  // Check battery voltage against the thresholds; returns a notification delta when the state changes
+  checkBattery(voltage) {
+    if (typeof voltage !== 'number') return [];
+
+    let state = 'normal';
+    if (voltage <= this.batteryAlarmVoltage) {
+      state = 'alarm';
+    } else if (voltage <= this.batteryWarnVoltage) {
+      state = 'warn';
+    }
+
+    if (state === this.batteryState) return [];
+    this.batteryState = state;
+
+    const message = state === 'normal' ?
+      `${this.label} battery OK (${voltage.toFixed(2)} V)` :
+      `${this.label} battery low (${voltage.toFixed(2)} V)`;
+    return [createNotificationDelta(`${this.notificationBase}.battery`, state, message, SOURCE)];
+  }
+}
+
+module.exports = SensorStatusMonitor;
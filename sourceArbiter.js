@@ -0,0 +1,107 @@
+// Per-value arbitration between the UDP, WebSocket and REST feeds that write the same observation paths
+// A value is published only from the highest priority channel still delivering it, and never with an older timestamp
+
+// $source of each feed and the channel it belongs to; other sources are passed through untouched
+const SOURCE_CHANNELS = {
+  'zennora-weatherflow-udp': 'udp',
+  'zennora-weatherflow-ws': 'websocket',
+  'zennora-weatherflow-api': 'rest',
+  'zennora-weatherflow-rest': 'rest',
+  'zennora-weatherflow-derived': 'udp',
+  'zennora-weatherflow-pressure': 'udp',
+  'mqtt-weatherflow-derived': 'udp',
+  'zennora-weatherflow-shore': 'udp'
+};
+
+// Values the plugin works out locally, e.g. dew point, sea-level pressure and feels-like, which the API also
+// reports: they outrank the API's, but don't count as the base path's feed, so the REST fallback and the
+// active source follow the observations alone
+const DERIVED_SOURCES = new Set([
+  'zennora-weatherflow-derived',
+  'zennora-weatherflow-pressure',
+  'mqtt-weatherflow-derived',
+  'zennora-weatherflow-shore'
+]);
+
+const DEFAULT_PRIORITY = ['udp', 'websocket', 'rest'];
+
+class SourceArbiter {
+  constructor(app, options = {}) {
+    this.app = app;
+    const priority = (options.priority || []).filter(channel => DEFAULT_PRIORITY.includes(channel));
+    this.priority = priority.concat(DEFAULT_PRIORITY.filter(channel => !priority.includes(channel)));
+    this.staleMs = {
+      udp: (options.udpStaleSeconds || 180) * 1000,
+      websocket: (options.webSocketStaleSeconds || 180) * 1000,
+      rest: (options.restStaleSeconds || 900) * 1000
+    };
+    this.values = new Map(); // full path -> { received: { channel: ms }, time: ms of the last published value }
+    this.groups = new Map(); // base path -> { received: { channel: ms }, active }
+  }
+
+  channelFor(source) {
+    return SOURCE_CHANNELS[source] || null;
+  }
+
+  // Highest priority channel in received that is within its stale timeout
+  freshest(received, now) {
+    return this.priority.find(channel =>
+      received[channel] !== undefined && now - received[channel] < this.staleMs[channel]) || null;
+  }
+
+  entry(map, key) {
+    if (!map.has(key)) {
+      map.set(key, { received: {}, time: undefined, active: null });
+    }
+    return map.get(key);
+  }
+
+  // Whether a value may be published; key is omitted for values published as one object at the base path
+  accept(basePath, key, source, timestamp) {
+    const channel = this.channelFor(source);
+    if (!channel) return true;
+
+    const now = Date.now();
+    const path = key ? `${basePath}.${key}` : basePath;
+    const value = this.entry(this.values, path);
+    const group = this.entry(this.groups, basePath);
+    value.received[channel] = now;
+    if (!DERIVED_SOURCES.has(source)) group.received[channel] = now;
+
+    // A higher priority channel is still delivering this value (or anything under the base path for whole objects)
+    if (this.freshest(key ? value.received : group.received, now) !== channel) return false;
+
+    const time = Date.parse(timestamp);
+    if (!isNaN(time)) {
+      if (value.time !== undefined && time <= value.time) return false; // Duplicate or older than what was published
+      value.time = time;
+    }
+    return true;
+  }
+
+  // Channel currently feeding a base path
+  activeChannel(basePath) {
+    const group = this.groups.get(basePath);
+    return group ? this.freshest(group.received, Date.now()) : null;
+  }
+
+  // The base path's active channel when it has changed since the last call, otherwise undefined
+  // Paths only ever fed by one channel have nothing to arbitrate and are not reported
+  takeActiveChange(basePath) {
+    const group = this.groups.get(basePath);
+    if (!group || Object.keys(group.received).length < 2) return undefined;
+
+    const active = this.activeChannel(basePath);
+    if (active === group.active) return undefined;
+    group.active = active;
+    return active;
+  }
+
+  // Whether every channel ranked above REST has gone quiet for a base path
+  needsRestFallback(basePath) {
+    const active = this.activeChannel(basePath);
+    return active === null || this.priority.indexOf(active) >= this.priority.indexOf('rest');
+  }
+}
+
+module.exports = SourceArbiter;
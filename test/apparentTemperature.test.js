@@ -0,0 +1,94 @@
+// Feels-like models against published tables
+const test = require('node:test');
+const assert = require('node:assert');
+const { heatIndex, windChill, apparentTemperature, feelsLike } = require('../apparentTemperature');
+
+function fahrenheitToCelsius(temperatureF) {
+  return (temperatureF - 32) * 5 / 9;
+}
+
+function celsiusToFahrenheit(temperatureC) {
+  return temperatureC * 9 / 5 + 32;
+}
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual.toFixed(2)}, expected ${expected} ± ${tolerance}`);
+}
+
+// NWS heat index chart: [relative humidity %, temperature °F, heat index °F]
+const NWS_HEAT_INDEX = [
+  [40, 80, 80],
+  [40, 90, 91],
+  [40, 100, 109],
+  [50, 90, 95],
+  [50, 96, 108],
+  [60, 90, 100],
+  [60, 100, 129],
+  [70, 90, 105],
+  [70, 96, 126],
+  [80, 86, 100]
+];
+
+// Environment Canada wind chill table: [temperature °C, wind km/h at 10 m, wind chill °C rounded]
+const EC_WIND_CHILL = [
+  [0, 10, -3],
+  [0, 20, -5],
+  [0, 30, -6],
+  [-10, 10, -15],
+  [-10, 20, -18],
+  [-10, 30, -20],
+  [-10, 60, -23],
+  [-20, 10, -27],
+  [-20, 20, -30],
+  [-20, 30, -33]
+];
+
+// Apparent temperature worked by hand from the BoM's published equations, to one decimal:
+// [temperature °C, relative humidity %, wind m/s, shade, 80 W/m² absorbed, 200 W/m² absorbed]
+const BOM_APPARENT_TEMPERATURE = [
+  [30, 50, 0, 33.0, 38.7, 47.1],
+  [30, 50, 5, 29.5, 33.3, 38.9],
+  [35, 30, 1, 35.8, 41.0, 48.6],
+  [20, 80, 2, 20.8, 25.5, 32.5],
+  [5, 60, 10, -4.3, -1.6, 2.6],
+  [-5, 90, 3, -9.8, -5.7, 0.7]
+];
+
+test('heat index matches the NWS chart', () => {
+  NWS_HEAT_INDEX.forEach(([rh, temperatureF, expected]) => {
+    const actual = celsiusToFahrenheit(heatIndex(fahrenheitToCelsius(temperatureF), rh));
+    assertClose(actual, expected, 1, `${temperatureF} °F at ${rh}%`);
+  });
+});
+
+test('wind chill matches the Environment Canada table', () => {
+  EC_WIND_CHILL.forEach(([temperatureC, windKmh, expected]) => {
+    assert.strictEqual(Math.round(windChill(temperatureC, windKmh / 3.6)), expected, `${temperatureC} °C at ${windKmh} km/h`);
+  });
+  assertClose(windChill(-10, 20 / 3.6), -17.9, 0.05, '-10 °C at 20 km/h');
+});
+
+test('wind chill is only defined at or below 10 °C with wind above 4.8 km/h', () => {
+  assert.strictEqual(windChill(11, 10), null);
+  assert.strictEqual(windChill(0, 4 / 3.6), null);
+});
+
+test('apparent temperature matches the BoM equations', () => {
+  BOM_APPARENT_TEMPERATURE.forEach(([temperatureC, rh, windSpeed, shade, absorbed80, absorbed200]) => {
+    const label = `${temperatureC} °C, ${rh}%, ${windSpeed} m/s`;
+    assertClose(apparentTemperature(temperatureC, rh, windSpeed), shade, 0.1, label);
+    assertClose(apparentTemperature(temperatureC, rh, windSpeed, 800), absorbed80, 0.1, `${label}, 800 W/m²`);
+    assertClose(apparentTemperature(temperatureC, rh, windSpeed, 800, 0.25), absorbed200, 0.1, `${label}, 800 W/m² at 0.25`);
+  });
+});
+
+test('a solar factor of 0 ignores radiation', () => {
+  assert.strictEqual(apparentTemperature(25, 60, 3, 900, 0), apparentTemperature(25, 60, 3));
+  assert.strictEqual(feelsLike('apparentTemperature', 25, 60, 3, 900, 0), apparentTemperature(25, 60, 3));
+});
+
+test('NWS feels-like picks wind chill, heat index or air temperature', () => {
+  assert.strictEqual(feelsLike('nws', -10, 50, 20 / 3.6), windChill(-10, 20 / 3.6));
+  assert.strictEqual(feelsLike('nws', 32, 50, 2), heatIndex(32, 50));
+  assert.strictEqual(feelsLike('nws', 18, 50, 2), 18);
+});
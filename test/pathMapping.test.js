@@ -0,0 +1,116 @@
+// Standard path mapping and batching with a Tempest and a cabin AIR on the same hub, fed over UDP
+const test = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createPlugin = require('..');
+
+// Minimal SignalK server app that keeps every delta
+function createApp(dataDir) {
+  const app = {
+    deltas: [],
+    debug: () => {},
+    error: () => {},
+    setPluginStatus: () => {},
+    setPluginError: () => {},
+    setProviderStatus: () => {},
+    setProviderError: () => {},
+    handleMessage: (id, delta) => app.deltas.push(delta),
+    getDataDirPath: () => dataDir,
+    getSelfPath: () => undefined,
+    registerPutHandler: () => {},
+    streambundle: { getSelfStream: () => ({ onValue: () => () => {} }) }
+  };
+  return app;
+}
+
+// Every value published on a path, in order
+function published(app, signalkPath) {
+  const values = [];
+  app.deltas.forEach(delta => delta.updates.forEach(update => {
+    (update.values || []).forEach(entry => {
+      if (entry.path === signalkPath) values.push(entry.value);
+    });
+  }));
+  return values;
+}
+
+// The path was published exactly once, with the expected value
+function assertPublished(app, signalkPath, expected) {
+  const values = published(app, signalkPath);
+  assert.strictEqual(values.length, 1, `${signalkPath} published ${values.length} times`);
+  assert.ok(Math.abs(values[0] - expected) < 1e-6, `${signalkPath}: ${values[0]}, expected ${expected}`);
+}
+
+// A UDP port nobody is listening on
+function freePort() {
+  return new Promise(resolve => {
+    const socket = dgram.createSocket('udp4');
+    socket.bind(0, '127.0.0.1', () => {
+      const { port } = socket.address();
+      socket.close(() => resolve(port));
+    });
+  });
+}
+
+function waitFor(condition, timeoutMs = 5000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('Timed out waiting for deltas'));
+      setTimeout(check, 20);
+    };
+    check();
+  });
+}
+
+test('outside paths come only from the Tempest, never from a cabin AIR', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weatherflow-test-'));
+  const app = createApp(dataDir);
+  const plugin = createPlugin(app);
+  const port = await freePort();
+  const client = dgram.createSocket('udp4');
+
+  try {
+    plugin.start({ udpPort: port, enableWindCalculations: false, enableHistory: false, enableWeatherProvider: false });
+
+    const now = Math.floor(Date.now() / 1000);
+    const tempest = {
+      serial_number: 'ST-00000512',
+      type: 'obs_st',
+      hub_sn: 'HB-00013030',
+      obs: [[now, 0.18, 0.22, 0.27, 144, 6, 1017.57, 22.37, 50.26, 328, 0.03, 3, 0, 0, 0, 0, 2.41, 1]],
+      firmware_revision: 129
+    };
+    const air = {
+      serial_number: 'AR-00004049',
+      type: 'obs_air',
+      hub_sn: 'HB-00013030',
+      obs: [[now, 1009.3, 18.5, 62, 0, 0, 3.46, 1]],
+      firmware_revision: 17
+    };
+
+    // The AIR reports last, so it would win if it were mapped
+    const send = message => new Promise(resolve => client.send(JSON.stringify(message), port, '127.0.0.1', resolve));
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await send(tempest);
+    await waitFor(() => published(app, 'environment.outside.tempest.observations.airTemperature').length > 0);
+    await send(air);
+    await waitFor(() => published(app, 'environment.inside.air.observations.airTemperature').length > 0);
+
+    assertPublished(app, 'environment.outside.temperature', 295.52);
+    assertPublished(app, 'environment.outside.relativeHumidity', 0.5026);
+    assertPublished(app, 'environment.outside.pressure', 101757);
+    assertPublished(app, 'environment.inside.air.observations.airTemperature', 291.65);
+
+    // Observations, derived values and tracking of one packet go to SignalK as one delta
+    assert.strictEqual(app.deltas.length, 2);
+  } finally {
+    client.close();
+    plugin.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,84 @@
+// Derived thermodynamic values computed from temperature, humidity and pressure
+// Inputs and outputs use the WeatherFlow units (°C, %, MB) and are converted when published
+
+const RD = 287.058; // Specific gas constant for dry air, J/(kg·K)
+const RV = 461.495; // Specific gas constant for water vapour, J/(kg·K)
+
+// Saturation vapour pressure (MB) over water, Magnus formula
+function saturationVapourPressure(temperatureC) {
+  return 6.1094 * Math.exp(17.625 * temperatureC / (temperatureC + 243.04));
+}
+
+// Actual vapour pressure (MB)
+function vapourPressure(temperatureC, relativeHumidity) {
+  return saturationVapourPressure(temperatureC) * relativeHumidity / 100;
+}
+
+// Dew point (°C), Magnus formula
+function dewPoint(temperatureC, relativeHumidity) {
+  const gamma = Math.log(relativeHumidity / 100) + 17.625 * temperatureC / (243.04 + temperatureC);
+  return 243.04 * gamma / (17.625 - gamma);
+}
+
+// Wet bulb temperature (°C), Stull (2011) empirical fit at standard pressure
+function wetBulbTemperature(temperatureC, relativeHumidity) {
+  const T = temperatureC;
+  const RH = relativeHumidity;
+  return T * Math.atan(0.151977 * Math.sqrt(RH + 8.313659)) +
+    Math.atan(T + RH) - Math.atan(RH - 1.676331) +
+    0.00391838 * Math.pow(RH, 1.5) * Math.atan(0.023101 * RH) - 4.686035;
+}
+
+// Wet bulb globe temperature (°C), Australian Bureau of Meteorology approximation for shade
+function wetBulbGlobeTemperature(temperatureC, relativeHumidity) {
+  return 0.567 * temperatureC + 0.393 * vapourPressure(temperatureC, relativeHumidity) + 3.94;
+}
+
+// Moist air density (kg/m³) from station pressure (MB)
+function airDensity(temperatureC, relativeHumidity, stationPressure) {
+  const temperatureK = temperatureC + 273.15;
+  const e = vapourPressure(temperatureC, relativeHumidity) * 100; // Pa
+  const pd = stationPressure * 100 - e; // Partial pressure of dry air, Pa
+  return pd / (RD * temperatureK) + e / (RV * temperatureK);
+}
+
+// Absolute humidity (kg/m³)
+function absoluteHumidity(temperatureC, relativeHumidity) {
+  const e = vapourPressure(temperatureC, relativeHumidity) * 100; // Pa
+  return e / (RV * (temperatureC + 273.15));
+}
+
+// All derived values available from the given observation; missing inputs are skipped
+function calculateThermodynamics({ airTemperature, relativeHumidity, stationPressure }) {
+  if (typeof airTemperature !== 'number' || typeof relativeHumidity !== 'number' || relativeHumidity <= 0) {
+    return {};
+  }
+
+  const dew = dewPoint(airTemperature, relativeHumidity);
+  const wetBulb = wetBulbTemperature(airTemperature, relativeHumidity);
+  const values = {
+    dewPoint: dew,
+    dewPointSpread: airTemperature - dew,
+    wetBulbTemperature: wetBulb,
+    wetBulbGlobeTemperature: wetBulbGlobeTemperature(airTemperature, relativeHumidity),
+    deltaT: airTemperature - wetBulb,
+    absoluteHumidity: absoluteHumidity(airTemperature, relativeHumidity)
+  };
+
+  if (typeof stationPressure === 'number') {
+    values.airDensity = airDensity(airTemperature, relativeHumidity, stationPressure);
+  }
+
+  return values;
+}
+
+module.exports = {
+  saturationVapourPressure,
+  vapourPressure,
+  dewPoint,
+  wetBulbTemperature,
+  wetBulbGlobeTemperature,
+  airDensity,
+  absoluteHumidity,
+  calculateThermodynamics
+};
@@ -0,0 +1,187 @@
+// SignalK Weather API provider serving the main station's latest observations and the cached
+// WeatherFlow better_forecast in the Weather API's formats (SignalK units, ISO dates)
+
+const PRESSURE_TENDENCY = { rising: 'increasing', falling: 'decreasing', steady: 'steady' };
+const PRECIPITATION_TYPE = { rain: 'rain', snow: 'snow', sleet: 'mixed/ice', storm: 'thunderstorm' };
+
+class WeatherProvider {
+  constructor(app, options = {}) {
+    this.app = app;
+    this.observationPaths = options.observationPaths || []; // main station observation paths, first match wins
+    this.rainPath = options.rainPath || null;
+    this.fixedStation = options.fixedStation === true; // sensor wind direction is a true bearing
+    this.stationId = options.stationId || null; // station whose forecast is served; the first fetched when unset
+    this.values = new Map(); // path -> { value, timestamp } of the latest published value
+    this.forecast = null; // raw better_forecast response
+  }
+
+  // Register with the server's Weather API; older servers without it are skipped
+  register() {
+    if (typeof this.app.registerWeatherProvider !== 'function') {
+      this.app.debug('SignalK server has no Weather API; weather provider not registered');
+      return false;
+    }
+
+    this.app.registerWeatherProvider({
+      name: 'WeatherFlow',
+      methods: {
+        getObservations: (position, options) => this.getObservations(position, options),
+        getForecasts: (position, type, options) => this.getForecasts(position, type, options),
+        getWarnings: position => this.getWarnings(position)
+      }
+    });
+    return true;
+  }
+
+  // Remember the latest values of a delta update
+  recordValues(values, timestamp) {
+    values.forEach(({ path, value }) => {
+      if (value !== undefined) this.values.set(path, { value, timestamp });
+    });
+  }
+
+  // Cache a better_forecast response; forecasts for other stations are ignored
+  setForecast(stationId, data) {
+    if (this.stationId && stationId !== this.stationId) return;
+    this.stationId = stationId;
+    this.forecast = data;
+  }
+
+  // Latest value of a key under the observation paths, or undefined
+  observation(key) {
+    for (const basePath of this.observationPaths) {
+      const entry = this.values.get(`${basePath}.${key}`);
+      if (entry && entry.value !== null) return entry;
+    }
+    return undefined;
+  }
+
+  // Latest value of a full path, or undefined
+  value(path) {
+    const entry = this.values.get(path);
+    return entry && entry.value !== null ? entry.value : undefined;
+  }
+
+  // The position is ignored: the provider always reports its own station
+  async getObservations(position, options = {}) {
+    const get = key => {
+      const entry = this.observation(key);
+      return entry ? entry.value : undefined;
+    };
+    const time = this.observation('timeEpoch') || this.observation('airTemperature');
+    if (!time) throw new Error('No WeatherFlow observations received yet');
+
+    const observation = {
+      date: time.timestamp || new Date().toISOString(),
+      type: 'observation',
+      description: get('conditions'),
+      outside: compact({
+        temperature: get('airTemperature'),
+        dewPointTemperature: get('dewPoint'),
+        feelsLikeTemperature: get('feelsLike'),
+        pressure: get('seaLevelPressure') !== undefined ? get('seaLevelPressure') : get('stationPressure'),
+        pressureTendency: PRESSURE_TENDENCY[get('pressureTendency')],
+        relativeHumidity: get('relativeHumidity'),
+        absoluteHumidity: get('absoluteHumidity'),
+        uvIndex: get('uvIndex') !== undefined ? get('uvIndex') : get('uv'),
+        solarRadiation: get('solarRadiation'),
+        precipitationVolume: this.rainPath ? this.value(`${this.rainPath}.accumulationLastHour`) : undefined
+      }),
+      wind: compact(this.fixedStation ? {
+        speedTrue: get('windAvg'),
+        directionTrue: get('windDirection'),
+        gust: get('windGust')
+      } : {
+        // Onboard the sensor direction is relative to the bow; use the calculated ground wind instead
+        speedTrue: this.value('environment.wind.speedOverGround'),
+        directionTrue: this.value('environment.wind.directionTrue'),
+        gust: get('windGust')
+      })
+    };
+
+    return limit([observation], options);
+  }
+
+  // Hourly forecasts for type 'point', daily forecasts for type 'daily'
+  async getForecasts(position, type, options = {}) {
+    if (!this.forecast || !this.forecast.forecast) throw new Error('No WeatherFlow forecast received yet');
+
+    const forecasts = type === 'daily' ?
+      (this.forecast.forecast.daily || []).map(dailyForecast) :
+      (this.forecast.forecast.hourly || []).map(hourlyForecast);
+
+    const start = options.startDate ? Date.parse(options.startDate) : NaN;
+    return limit(isNaN(start) ? forecasts : forecasts.filter(forecast => Date.parse(forecast.date) >= start), options);
+  }
+
+  // WeatherFlow publishes no warnings; lightning, pressure and rain alerts are SignalK notifications
+  async getWarnings() {
+    return [];
+  }
+}
+
+// Hourly better_forecast entry (°C, mb, %, mm, m/s, degrees) as Weather API data
+function hourlyForecast(entry) {
+  return {
+    date: new Date(entry.time * 1000).toISOString(),
+    type: 'point',
+    description: entry.conditions,
+    outside: compact({
+      temperature: celsiusToKelvin(entry.air_temperature),
+      feelsLikeTemperature: celsiusToKelvin(entry.feels_like),
+      pressure: scale(entry.sea_level_pressure, 100),
+      relativeHumidity: scale(entry.relative_humidity, 0.01),
+      uvIndex: entry.uv,
+      precipitationVolume: scale(entry.precip, 0.001),
+      precipitationType: PRECIPITATION_TYPE[entry.precip_type]
+    }),
+    wind: compact({
+      speedTrue: entry.wind_avg,
+      directionTrue: scale(entry.wind_direction, Math.PI / 180),
+      gust: entry.wind_gust
+    })
+  };
+}
+
+// Daily better_forecast entry as Weather API data
+function dailyForecast(entry) {
+  return {
+    date: new Date(entry.day_start_local * 1000).toISOString(),
+    type: 'daily',
+    description: entry.conditions,
+    outside: compact({
+      maxTemperature: celsiusToKelvin(entry.air_temp_high),
+      minTemperature: celsiusToKelvin(entry.air_temp_low),
+      precipitationType: PRECIPITATION_TYPE[entry.precip_type]
+    }),
+    sun: compact({
+      sunrise: entry.sunrise ? new Date(entry.sunrise * 1000).toISOString() : undefined,
+      sunset: entry.sunset ? new Date(entry.sunset * 1000).toISOString() : undefined
+    })
+  };
+}
+
+// Unit helpers that pass missing values through as undefined
+function celsiusToKelvin(value) {
+  return typeof value === 'number' ? value + 273.15 : undefined;
+}
+
+function scale(value, factor) {
+  return typeof value === 'number' ? value * factor : undefined;
+}
+
+// Copy of an object without its undefined and null members
+function compact(object) {
+  const result = {};
+  Object.entries(object).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) result[key] = value;
+  });
+  return result;
+}
+
+// Apply the Weather API maxCount option
+function limit(list, options) {
+  return options && options.maxCount > 0 ? list.slice(0, options.maxCount) : list;
+}
+
+module.exports = WeatherProvider;
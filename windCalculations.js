@@ -1,15 +1,60 @@
 // Wind calculations module based on the Node-RED flow
+const { createNotificationDelta } = require('./notifications');
+const { heatIndex, windChill, apparentTemperature, feelsLike } = require('./apparentTemperature');
+
 class WindCalculations {
-  constructor(app) {
+  constructor(app, options = {}) {
     this.app = app;
+    this.feelsLikeModel = options.feelsLikeModel || 'nws';
+    this.solarAbsorbedFraction = typeof options.solarAbsorbedFraction === 'number' ? options.solarAbsorbedFraction : 0.1;
+    this.sensorHeight = options.sensorHeight || 10; // m, anemometer height above the water
+    this.windProfile = options.windProfile || 'powerLaw';
+    this.roughnessLength = options.roughnessLength || 0.0002; // m, open sea
+    this.staleAfter = (options.navigationStaleSeconds || 10) * 1000;
+    this.lastUpdate = {}; // path -> time of last update (ms)
     this.headingTrue = 0;
     this.headingMagnetic = 0;
+    this.magneticVariation = 0;
+    this.courseOverGroundTrue = null;
     this.courseOverGroundMagnetic = null;
     this.speedOverGround = 0;
-    this.airTemp = 0;
-    this.humidity = 0;
+    this.speedThroughWater = null;
+    this.leewayAngle = 0;
+    this.currentDrift = 0; // m/s
+    this.currentSetTrue = null; // rad, direction the current flows towards
+    this.airTemp = null; // K
+    this.humidity = null; // ratio (0-1)
+    this.solarRadiation = null; // W/m²
     this.anchorSet = false;
     this.anchorApparentBearing = 0;
+
+    // Anchor mode: set manually (PUT) or from navigation.anchor.position
+    this.anchorManual = false;
+    this.anchorPosition = null; // { latitude, longitude }
+    this.anchorRadius = null; // m, distance from the anchor
+    this.position = null; // { latitude, longitude }
+    this.anchorShiftThreshold = this.degToRad(options.anchorShiftThreshold || 45);
+    this.anchorReferenceDirection = null; // rad, smoothed true wind direction when anchor mode started
+    this.smoothedWindDirection = null; // rad
+    this.smoothedWindTime = null;
+    this.lastTrueWindDirection = null; // { direction (rad), time (ms) } of the last ground wind direction
+    this.anchorShiftActive = false;
+
+    // Fixed shore station position and the distance within which a vessel counts as nearby
+    this.stationPosition = typeof options.stationLatitude === 'number' && typeof options.stationLongitude === 'number' ?
+      { latitude: options.stationLatitude, longitude: options.stationLongitude } : null;
+    this.nearbyDistance = options.nearbyDistance || 5000; // m
+
+    // Mast-head motion compensation; sensor position relative to the centre of rotation in m
+    this.motionCompensation = options.motionCompensation === true;
+    this.sensorHeightAboveRotation = options.sensorHeightAboveRotation || 0;
+    this.sensorForwardOffset = options.sensorForwardOffset || 0;
+    this.sensorStarboardOffset = options.sensorStarboardOffset || 0;
+    this.attitude = null; // { roll, pitch, yaw } in rad
+    this.attitudeTime = null;
+    this.rollRate = 0; // rad/s
+    this.pitchRate = 0; // rad/s
+    this.rateOfTurn = 0; // rad/s
   }
 
   // Helper function to convert degrees to radians
@@ -36,6 +81,8 @@ class WindCalculations {
 
   // Update navigation data from SignalK
   updateNavigationData(path, value) {
+    this.lastUpdate[path] = Date.now();
+
     switch (path) {
       case 'navigation.headingTrue':
         this.headingTrue = value;
@@ -49,42 +96,329 @@ class WindCalculations {
       case 'navigation.speedOverGround':
         this.speedOverGround = value;
         break;
-      case 'environment.outside.tempest.observations.airTemperature':
-        this.airTemp = value;
+      case 'navigation.courseOverGroundTrue':
+        this.courseOverGroundTrue = value;
+        break;
+      case 'navigation.speedThroughWater':
+        this.speedThroughWater = value;
+        break;
+      case 'navigation.leewayAngle':
+        this.leewayAngle = value;
+        break;
+      case 'navigation.magneticVariation':
+        this.magneticVariation = value;
         break;
-      case 'environment.outside.tempest.observations.relativeHumidity':
-        this.humidity = value;
+      case 'environment.current':
+        if (value && typeof value.drift === 'number') {
+          this.currentDrift = value.drift;
+        }
+        if (value && typeof value.setTrue === 'number') {
+          this.currentSetTrue = value.setTrue;
+        } else if (value && typeof value.setMagnetic === 'number') {
+          this.currentSetTrue = value.setMagnetic + this.getVariation();
+        }
         break;
+      case 'environment.current.drift':
+        this.currentDrift = value;
+        this.lastUpdate['environment.current'] = Date.now();
+        break;
+      case 'environment.current.setTrue':
+        this.currentSetTrue = value;
+        this.lastUpdate['environment.current'] = Date.now();
+        break;
+      case 'navigation.attitude':
+        this.updateAttitude(value);
+        break;
+      case 'navigation.rateOfTurn':
+        this.rateOfTurn = value;
+        break;
+      case 'navigation.position':
+        this.position = value;
+        this.updateAnchorBearing();
+        break;
+      case 'navigation.anchor.position':
+        this.anchorPosition = value && typeof value.latitude === 'number' ? value : null;
+        this.updateAnchorState();
+        this.updateAnchorBearing();
+        break;
+      case 'navigation.anchor.currentRadius':
+        this.anchorRadius = value;
+        break;
+    }
+  }
+
+  // Update air temperature (K), relative humidity (ratio) and solar radiation (W/m²) from the wind sensor's station
+  updateWeatherData(airTemperature, relativeHumidity, solarRadiation) {
+    if (typeof airTemperature === 'number') this.airTemp = airTemperature;
+    if (typeof relativeHumidity === 'number') this.humidity = relativeHumidity;
+    if (typeof solarRadiation === 'number') this.solarRadiation = solarRadiation;
+  }
+
+  // Switch manual anchor mode on or off
+  setAnchorMode(enabled) {
+    this.anchorManual = enabled === true;
+    this.updateAnchorState();
+  }
+
+  // Anchor mode is on while set manually or while an anchor position is known
+  updateAnchorState() {
+    const anchorSet = this.anchorManual || this.anchorPosition !== null;
+    if (anchorSet !== this.anchorSet) {
+      this.app.debug(`Anchor mode ${anchorSet ? 'on' : 'off'}`);
+      this.anchorReferenceDirection = null; // Captured again from the next wind sample
+    }
+    this.anchorSet = anchorSet;
+  }
+
+  // Bearing from the vessel to its anchor; at anchor the bow points roughly this way
+  updateAnchorBearing() {
+    if (!this.anchorPosition || !this.position || typeof this.position.latitude !== 'number') return;
+
+    const lat1 = this.degToRad(this.position.latitude);
+    const lat2 = this.degToRad(this.anchorPosition.latitude);
+    const dLon = this.degToRad(this.anchorPosition.longitude - this.position.longitude);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    this.anchorApparentBearing = this.toCompassBearing(Math.atan2(y, x));
+    this.lastUpdate['anchorBearing'] = Date.now();
+  }
+
+  // Last ground wind direction relative to true north (rad), or null when none is recent enough
+  recentTrueWindDirection(maxAgeMs = 10 * 60 * 1000) {
+    if (!this.lastTrueWindDirection || Date.now() - this.lastTrueWindDirection.time > maxAgeMs) return null;
+    return this.lastTrueWindDirection.direction;
+  }
+
+  // Smooth the true wind direction (2 minute time constant) so gusts don't trip the anchor shift alert
+  smoothWindDirection(direction) {
+    const now = Date.now();
+    if (this.smoothedWindDirection === null) {
+      this.smoothedWindDirection = direction;
+    } else {
+      const alpha = 1 - Math.exp(-(now - this.smoothedWindTime) / 120000);
+      const x = (1 - alpha) * Math.cos(this.smoothedWindDirection) + alpha * Math.cos(direction);
+      const y = (1 - alpha) * Math.sin(this.smoothedWindDirection) + alpha * Math.sin(direction);
+      this.smoothedWindDirection = this.toCompassBearing(Math.atan2(y, x));
     }
+    this.smoothedWindTime = now;
+    return this.smoothedWindDirection;
   }
 
-  // Calculate apparent wind values
-  calculateApparentWind(windData) {
-    const windRelative = windData.windDirection;
-    
-    // Calculate apparent wind angles and directions
-    const headingTrueDeg = this.radToDeg(this.headingTrue);
-    const headingMagneticDeg = this.radToDeg(this.headingMagnetic);
-    const courseOverGroundMagneticDeg = this.courseOverGroundMagnetic ? 
-      this.radToDeg(this.courseOverGroundMagnetic) : headingMagneticDeg;
+  // Anchor mode values: wind shift since anchoring, swing angle and the wind direction the boat lies to
+  calculateAnchorValues(trueWindDirection) {
+    if (!this.anchorSet || trueWindDirection === undefined) return {};
+
+    const smoothed = this.smoothWindDirection(trueWindDirection);
+    if (this.anchorReferenceDirection === null) {
+      this.anchorReferenceDirection = smoothed;
+    }
+
+    const values = {
+      anchorReferenceDirection: this.anchorReferenceDirection,
+      anchorWindShift: this.normalizeAngle(smoothed - this.anchorReferenceDirection)
+    };
+
+    // A boat lying to the wind sits downwind of its anchor, so the anchor bearing is the wind it lies to
+    if (this.anchorPosition && this.isFresh('anchorBearing')) {
+      values.anchorLyingDirection = this.anchorApparentBearing;
+      values.anchorSwingAngle = this.normalizeAngle(this.anchorApparentBearing - smoothed);
+    }
+
+    return values;
+  }
+
+  // Raise or clear the anchor wind shift notification; returns notification deltas
+  checkAnchorShift(derivedValues) {
+    const path = 'notifications.environment.wind.anchorShift';
+
+    if (derivedValues.anchorWindShift === undefined) {
+      if (!this.anchorShiftActive) return [];
+      this.anchorShiftActive = false;
+      return [createNotificationDelta(path, 'normal', 'Anchor mode off', derivedValues.source)];
+    }
+
+    const shift = Math.abs(derivedValues.anchorWindShift);
+    const hysteresis = this.degToRad(10);
+
+    if (!this.anchorShiftActive && shift >= this.anchorShiftThreshold) {
+      this.anchorShiftActive = true;
+      const radius = typeof this.anchorRadius === 'number' ? `, ${Math.round(this.anchorRadius)} m from anchor` : '';
+      const message = `Wind shifted ${Math.round(this.radToDeg(shift))}° since anchoring${radius}: ` +
+        'check the anchor is resetting and the swing circle is clear';
+      this.app.debug(message);
+      return [createNotificationDelta(path, 'warn', message, derivedValues.source)];
+    }
+
+    if (this.anchorShiftActive && shift < this.anchorShiftThreshold - hysteresis) {
+      this.anchorShiftActive = false;
+      return [createNotificationDelta(path, 'normal', 'Wind back within the anchoring shift limit', derivedValues.source)];
+    }
+
+    return [];
+  }
+
+  // Track attitude and derive roll and pitch rates from successive samples
+  updateAttitude(attitude) {
+    if (!attitude || typeof attitude.roll !== 'number' || typeof attitude.pitch !== 'number') return;
+
+    const now = Date.now();
+    if (this.attitude && this.attitudeTime) {
+      const dt = (now - this.attitudeTime) / 1000;
+      if (dt > 0 && dt < 2) {
+        this.rollRate = this.normalizeAngle(attitude.roll - this.attitude.roll) / dt;
+        this.pitchRate = this.normalizeAngle(attitude.pitch - this.attitude.pitch) / dt;
+      } else {
+        this.rollRate = 0;
+        this.pitchRate = 0;
+      }
+    }
+
+    this.attitude = attitude;
+    this.attitudeTime = now;
+  }
+
+  // Remove the wind induced by the sensor's own roll, pitch and yaw motion
+  // windDirection is in degrees relative to the bow; returns the corrected speed and direction
+  compensateMotion(windSpeed, windDirection) {
+    const attitudeFresh = this.attitudeTime && Date.now() - this.attitudeTime < 5000;
+    if (!this.motionCompensation || !attitudeFresh) {
+      return { windSpeed, windDirection };
+    }
+
+    // Boat frame: x forward, y starboard, z down; the sensor sits above the centre of rotation
+    const x = this.sensorForwardOffset;
+    const y = this.sensorStarboardOffset;
+    const z = -this.sensorHeightAboveRotation;
+    const p = this.rollRate;
+    const q = this.pitchRate;
+    const r = this.rateOfTurn || 0;
+
+    // Sensor velocity v = ω × r (horizontal components)
+    const sensorVx = q * z - r * y;
+    const sensorVy = r * x - p * z;
+
+    // Measured air motion (direction the air moves to) in the tilted sensor plane, projected to level
+    const directionRad = this.degToRad(windDirection);
+    const cosRoll = Math.cos(this.attitude.roll);
+    const cosPitch = Math.cos(this.attitude.pitch);
+    const measuredX = -windSpeed * Math.cos(directionRad) / (cosPitch || 1);
+    const measuredY = -windSpeed * Math.sin(directionRad) / (cosRoll || 1);
+
+    // The sensor sees its own motion as a headwind; add it back
+    const correctedX = measuredX + sensorVx;
+    const correctedY = measuredY + sensorVy;
+
+    const correctedDirection = this.radToDeg(this.toCompassBearing(Math.atan2(-correctedY, -correctedX)));
+    return {
+      windSpeed: Math.sqrt(correctedX * correctedX + correctedY * correctedY),
+      windDirection: correctedDirection
+    };
+  }
+
+  // Scale a wind speed from the sensor height to the 10 m reference height
+  windAtReferenceHeight(windSpeed) {
+    if (this.windProfile === 'logarithmic') {
+      return windSpeed * Math.log(10 / this.roughnessLength) / Math.log(this.sensorHeight / this.roughnessLength);
+    }
+    return windSpeed * Math.pow(10 / this.sensorHeight, 1 / 7);
+  }
+
+  // Check whether a navigation input has been updated recently
+  isFresh(path) {
+    const updated = this.lastUpdate[path];
+    return updated !== undefined && Date.now() - updated <= this.staleAfter;
+  }
+
+  // Magnetic variation (rad, east positive), 0 when unknown
+  getVariation() {
+    return this.isFresh('navigation.magneticVariation') ? this.magneticVariation : 0;
+  }
+
+  // Best available true heading: headingTrue, then headingMagnetic + variation, then the anchor bearing
+  // at anchor, then COG; null when unknown
+  resolveHeadingTrue() {
+    if (this.isFresh('navigation.headingTrue')) return this.headingTrue;
+    if (this.isFresh('navigation.headingMagnetic')) return this.headingMagnetic + this.getVariation();
+    if (this.anchorSet && this.isFresh('anchorBearing')) return this.anchorApparentBearing;
+    return this.resolveCourseOverGroundTrue();
+  }
+
+  // Best available true course over ground, null when unknown
+  resolveCourseOverGroundTrue() {
+    if (this.isFresh('navigation.courseOverGroundTrue')) return this.courseOverGroundTrue;
+    if (this.isFresh('navigation.courseOverGroundMagnetic')) return this.courseOverGroundMagnetic + this.getVariation();
+    return null;
+  }
+
+  // Vessel velocity over ground as a north/east vector in m/s
+  groundVelocity(headingTrue) {
+    if (this.anchorSet || !this.isFresh('navigation.speedOverGround')) {
+      return { north: 0, east: 0 };
+    }
+
+    const cog = this.resolveCourseOverGroundTrue();
+    const course = cog !== null ? cog : headingTrue;
+    return {
+      north: this.speedOverGround * Math.cos(course),
+      east: this.speedOverGround * Math.sin(course)
+    };
+  }
+
+  // Vessel velocity through the water as a north/east vector in m/s
+  // Uses speed through water and leeway, else ground velocity minus current, else ground velocity
+  waterVelocity(headingTrue, groundVelocity) {
+    if (this.isFresh('navigation.speedThroughWater')) {
+      const leeway = this.isFresh('navigation.leewayAngle') ? this.leewayAngle : 0;
+      const course = headingTrue + leeway;
+      return {
+        north: this.speedThroughWater * Math.cos(course),
+        east: this.speedThroughWater * Math.sin(course),
+        reference: 'speedThroughWater'
+      };
+    }
+
+    if (this.isFresh('environment.current') && this.currentSetTrue !== null) {
+      return {
+        north: groundVelocity.north - this.currentDrift * Math.cos(this.currentSetTrue),
+        east: groundVelocity.east - this.currentDrift * Math.sin(this.currentSetTrue),
+        reference: 'current'
+      };
+    }
+
+    return Object.assign({ reference: 'speedOverGround' }, groundVelocity);
+  }
+
+  // Calculate apparent wind values; only an instantaneous sample (rapid wind) is motion compensated, as the
+  // current roll and pitch rates say nothing about the motion over an observation's averaging interval
+  calculateApparentWind(rawWindData) {
+    const compensated = rawWindData.instantaneous ?
+      this.compensateMotion(rawWindData.windSpeed, rawWindData.windDirection) :
+      { windSpeed: rawWindData.windSpeed, windDirection: rawWindData.windDirection };
+    const windData = Object.assign({}, rawWindData, compensated);
 
     // Wind angle - relative to bow
     const windAngleRelative = windData.windDirection;
     const windAngleRelativeRad = this.degToRad(windData.windDirection);
 
-    // Wind direction - calculate absolute compass direction  
-    const apparentTrueDeg = (headingTrueDeg + windData.windDirection) % 360;
-    const apparentMagneticDeg = (headingMagneticDeg + windData.windDirection) % 360;
+    // Wind direction - absolute compass direction, when the heading is known
+    const headingTrue = this.resolveHeadingTrue();
+    const apparentTrueRad = headingTrue !== null ?
+      this.toCompassBearing(this.normalizeAngle(headingTrue + windAngleRelativeRad)) : null;
+    const apparentMagneticRad = apparentTrueRad !== null ?
+      this.toCompassBearing(this.normalizeAngle(apparentTrueRad - this.getVariation())) : null;
 
     return {
       windSpeed: windData.windSpeed,
       windAngleRelative,
       windAngleRelativeRad,
-      apparentTrueDeg,
-      apparentMagneticDeg,
-      apparentTrueRad: this.degToRad(apparentTrueDeg),
-      apparentMagneticRad: this.degToRad(apparentMagneticDeg),
-      airTemperature: windData.airTemperature || this.airTemp
+      headingTrue,
+      apparentTrueDeg: apparentTrueRad !== null ? this.radToDeg(apparentTrueRad) : null,
+      apparentMagneticDeg: apparentMagneticRad !== null ? this.radToDeg(apparentMagneticRad) : null,
+      apparentTrueRad,
+      apparentMagneticRad,
+      airTemperature: windData.airTemperature || this.airTemp,
+      windSpeedUncorrected: rawWindData.windSpeed,
+      windAngleRelativeUncorrectedRad: this.degToRad(rawWindData.windDirection)
     };
   }
 
@@ -93,150 +427,224 @@ class WindCalculations {
     const timestamp = new Date().toISOString();
     const source = 'mqtt-weatherflow-derived';
 
-    // Determine which heading to use for calculations
-    let useDirection = this.headingMagnetic;
-    if (this.courseOverGroundMagnetic != null) {
-      useDirection = this.courseOverGroundMagnetic;
-    }
+    // Compute the apparent wind angle relative to the boat
+    const angleApparent = this.normalizeAngle(apparentWindData.windAngleRelativeRad);
 
-    const effectiveHeadingTrueRad = this.anchorSet ? this.anchorApparentBearing : this.headingTrue;
-    const effectiveHeadingMagneticRad = this.anchorSet ? this.anchorApparentBearing : this.headingMagnetic;
+    // Without a heading, work in the boat frame (bow = 0) and publish no compass directions
+    const headingKnown = apparentWindData.headingTrue !== null;
+    const headingTrue = headingKnown ? apparentWindData.headingTrue : 0;
 
-    // Compute the apparent wind angle relative to the boat
-    const angleApparent = this.normalizeAngle(apparentWindData.windAngleRelativeRad || 
-      (apparentWindData.apparentTrueRad - effectiveHeadingTrueRad));
-
-    // True Wind Calculation in the True Frame
-    const effectiveSOG = this.anchorSet ? 0 : this.speedOverGround;
-
-    const Vx = effectiveSOG * Math.cos(effectiveHeadingTrueRad);
-    const Vy = effectiveSOG * Math.sin(effectiveHeadingTrueRad);
-    const Ax = apparentWindData.windSpeed * Math.cos(apparentWindData.apparentTrueRad);
-    const Ay = apparentWindData.windSpeed * Math.sin(apparentWindData.apparentTrueRad);
-    const Wx = Ax + Vx;
-    const Wy = Ay + Vy;
-    const trueWindSpeed = Math.sqrt(Wx * Wx + Wy * Wy);
-
-    const rawTrueDirection = Math.atan2(Wy, Wx);
-    const trueWindDirTrueRad = this.toCompassBearing(rawTrueDirection);
-    const angleTrueGround = this.normalizeAngle(trueWindDirTrueRad - effectiveHeadingTrueRad);
-
-    // True Wind Calculation in the Magnetic Frame
-    const VxMag = effectiveSOG * Math.cos(effectiveHeadingMagneticRad);
-    const VyMag = effectiveSOG * Math.sin(effectiveHeadingMagneticRad);
-    const AxMag = apparentWindData.windSpeed * Math.cos(apparentWindData.apparentMagneticRad);
-    const AyMag = apparentWindData.windSpeed * Math.sin(apparentWindData.apparentMagneticRad);
-    const WxMag = AxMag + VxMag;
-    const WyMag = AyMag + VyMag;
-
-    const rawMagneticDirection = Math.atan2(WyMag, WxMag);
-    const trueWindDirMagRad = this.toCompassBearing(rawMagneticDirection);
-    const angleTrueWater = this.normalizeAngle(trueWindDirMagRad - effectiveHeadingMagneticRad);
-
-    // Wind Chill Calculation (K)
-    const airTempC = this.airTemp - 273.15;
-    const windSpeedKmh = trueWindSpeed * 3.6;
-    let windChillK = null;
+    // Apparent wind as a "from" vector in the north/east frame
+    const apparentFrom = headingTrue + angleApparent;
+    const Ax = apparentWindData.windSpeed * Math.cos(apparentFrom);
+    const Ay = apparentWindData.windSpeed * Math.sin(apparentFrom);
 
-    if (airTempC <= 10 && windSpeedKmh > 4.8) {
-      const windChillC = 13.12 + 0.6215 * airTempC - 11.37 * Math.pow(windSpeedKmh, 0.16) + 
-        0.3965 * airTempC * Math.pow(windSpeedKmh, 0.16);
-      windChillK = windChillC + 273.15;
-    }
+    // Ground wind: remove the vessel's motion over ground
+    const ground = this.groundVelocity(headingTrue);
+    const Gx = Ax - ground.north;
+    const Gy = Ay - ground.east;
+    const groundWindSpeed = Math.sqrt(Gx * Gx + Gy * Gy);
+    const groundWindDirection = this.toCompassBearing(Math.atan2(Gy, Gx));
+    const angleTrueGround = this.normalizeAngle(groundWindDirection - headingTrue);
 
-    // Heat Index Calculation (K)
-    const airTempF = (airTempC * 9 / 5) + 32;
-    let heatIndexK = null;
+    // Water wind: remove the vessel's motion through the water
+    const water = this.waterVelocity(headingTrue, ground);
+    const Wx = Ax - water.north;
+    const Wy = Ay - water.east;
+    const waterWindSpeed = Math.sqrt(Wx * Wx + Wy * Wy);
+    const waterWindDirection = this.toCompassBearing(Math.atan2(Wy, Wx));
+    const angleTrueWater = this.normalizeAngle(waterWindDirection - headingTrue);
 
-    if (airTempF >= 80 && this.humidity >= 40) {
-      const T = airTempF;
-      const R = this.humidity;
-      const heatIndexF = -42.379 + 2.04901523 * T + 10.14333127 * R
-        - 0.22475541 * T * R - 0.00683783 * T * T
-        - 0.05481717 * R * R + 0.00122874 * T * T * R
-        + 0.00085282 * T * R * R - 0.00000199 * T * T * R * R;
-      const heatIndexC = (heatIndexF - 32) * 5 / 9;
-      heatIndexK = heatIndexC + 273.15;
-    }
+    const trueWindDirTrueRad = headingKnown ? groundWindDirection : undefined;
+    const trueWindDirMagRad = headingKnown ?
+      this.toCompassBearing(this.normalizeAngle(groundWindDirection - this.getVariation())) : undefined;
 
-    // Feels Like Calculation (K)
-    let feelsLikeK = this.airTemp;
-    if (windChillK !== null && airTempC <= 10) {
-      feelsLikeK = windChillK;
-    } else if (heatIndexK !== null && airTempC >= 27) {
-      feelsLikeK = heatIndexK;
+    const trueWindSpeed10m = this.windAtReferenceHeight(groundWindSpeed);
+    const anchorValues = this.calculateAnchorValues(trueWindDirTrueRad);
+    if (trueWindDirTrueRad !== undefined) {
+      this.lastTrueWindDirection = { direction: trueWindDirTrueRad, time: Date.now() };
     }
+    const comfort = this.calculateComfortValues(trueWindSpeed10m);
 
     return {
       speedApparent: apparentWindData.windSpeed,
       angleApparent,
+      speedApparentUncorrected: this.motionCompensation ? apparentWindData.windSpeedUncorrected : undefined,
+      angleApparentUncorrected: this.motionCompensation ?
+        this.normalizeAngle(apparentWindData.windAngleRelativeUncorrectedRad) : undefined,
       angleTrueGround,
       angleTrueWater,
       directionTrue: trueWindDirTrueRad,
       directionMagnetic: trueWindDirMagRad,
-      speedTrue: trueWindSpeed,
+      speedTrue: waterWindSpeed,
+      speedOverGround: groundWindSpeed,
+      speedTrue10m: trueWindSpeed10m,
+      windChill: comfort.windChill,
+      heatIndex: comfort.heatIndex,
+      apparentTemperature: comfort.apparentTemperature,
+      feelsLike: comfort.feelsLike,
+      anchorMode: this.anchorSet,
+      anchorReferenceDirection: anchorValues.anchorReferenceDirection,
+      anchorWindShift: anchorValues.anchorWindShift,
+      anchorLyingDirection: anchorValues.anchorLyingDirection,
+      anchorSwingAngle: anchorValues.anchorSwingAngle,
+      timestamp,
+      source
+    };
+  }
+
+  // Apparent temperature values (K); wind chill and feels-like use the true wind at 10 m
+  calculateComfortValues(trueWindSpeed10m) {
+    let windChillK = null;
+    let heatIndexK = null;
+    let apparentTemperatureK = null;
+    let feelsLikeK = null;
+
+    if (this.airTemp !== null) {
+      const airTempC = this.airTemp - 273.15;
+      const humidityPercent = this.humidity !== null ? this.humidity * 100 : null;
+
+      const windChillC = windChill(airTempC, trueWindSpeed10m);
+      if (windChillC !== null) {
+        windChillK = windChillC + 273.15;
+      }
+
+      feelsLikeK = this.airTemp;
+      if (humidityPercent !== null) {
+        if (airTempC >= 26.7) { // Heat index is only defined from 80 °F
+          heatIndexK = heatIndex(airTempC, humidityPercent) + 273.15;
+        }
+        apparentTemperatureK = apparentTemperature(airTempC, humidityPercent, trueWindSpeed10m, this.solarRadiation, this.solarAbsorbedFraction) + 273.15;
+        feelsLikeK = feelsLike(this.feelsLikeModel, airTempC, humidityPercent, trueWindSpeed10m, this.solarRadiation, this.solarAbsorbedFraction) + 273.15;
+      } else if (windChillK !== null) {
+        feelsLikeK = windChillK;
+      }
+    }
+
+    return {
       windChill: windChillK,
       heatIndex: heatIndexK,
-      feelsLike: feelsLikeK,
+      apparentTemperature: apparentTemperatureK,
+      feelsLike: feelsLikeK
+    };
+  }
+
+  // Fixed shore station: windDirection is a true bearing, so publish ground wind directly and,
+  // when the vessel is nearby, the apparent wind it should be seeing from its heading and SOG
+  calculateFixedStationWind(windData) {
+    const timestamp = new Date().toISOString();
+    const source = 'zennora-weatherflow-shore';
+
+    const groundWindSpeed = windData.windSpeed;
+    const groundWindDirection = this.toCompassBearing(this.normalizeAngle(this.degToRad(windData.windDirection)));
+    this.lastTrueWindDirection = { direction: groundWindDirection, time: Date.now() };
+    const trueWindSpeed10m = this.windAtReferenceHeight(groundWindSpeed);
+    const comfort = this.calculateComfortValues(trueWindSpeed10m);
+
+    const values = {
+      directionTrue: groundWindDirection,
+      directionMagnetic: this.toCompassBearing(this.normalizeAngle(groundWindDirection - this.getVariation())),
+      speedOverGround: groundWindSpeed,
+      speedTrue10m: trueWindSpeed10m,
+      windChill: comfort.windChill,
+      heatIndex: comfort.heatIndex,
+      apparentTemperature: comfort.apparentTemperature,
+      feelsLike: comfort.feelsLike,
       timestamp,
       source
     };
+
+    const distance = this.distanceToStation();
+    values.stationDistance = distance !== null ? distance : undefined;
+
+    const headingTrue = this.resolveHeadingTrue();
+    if (distance === null || distance > this.nearbyDistance || headingTrue === null) {
+      return values;
+    }
+
+    // Reverse of the onboard calculation: apparent = ground wind + the vessel's own motion
+    const ground = this.groundVelocity(headingTrue);
+    const Ax = groundWindSpeed * Math.cos(groundWindDirection) + ground.north;
+    const Ay = groundWindSpeed * Math.sin(groundWindDirection) + ground.east;
+
+    // Published apart from the measured wind paths, which the vessel's own instruments may be writing
+    values.expectedSpeedApparent = Math.sqrt(Ax * Ax + Ay * Ay);
+    values.expectedAngleApparent = this.normalizeAngle(Math.atan2(Ay, Ax) - headingTrue);
+    values.expectedAngleTrueGround = this.normalizeAngle(groundWindDirection - headingTrue);
+    return values;
   }
 
-  // Create SignalK deltas for all wind calculations
-  createWindDeltas(derivedValues) {
-    const deltas = [];
+  // Distance (m) from the vessel to the fixed station, null when either position is unknown
+  distanceToStation() {
+    if (!this.stationPosition || !this.position || typeof this.position.latitude !== 'number') return null;
+
+    const R = 6371000;
+    const lat1 = this.degToRad(this.position.latitude);
+    const lat2 = this.degToRad(this.stationPosition.latitude);
+    const dLat = lat2 - lat1;
+    const dLon = this.degToRad(this.stationPosition.longitude - this.position.longitude);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  // Create one SignalK delta with all wind calculations; comfort temperatures go under the station's observation path
+  createWindDeltas(derivedValues, observationPath = 'environment.outside.tempest.observations') {
+    const values = [];
     const windPaths = {
       speedApparent: 'environment.wind.speedApparent',
       angleApparent: 'environment.wind.angleApparent',
+      speedApparentUncorrected: 'environment.wind.speedApparentUncorrected',
+      angleApparentUncorrected: 'environment.wind.angleApparentUncorrected',
       angleTrueGround: 'environment.wind.angleTrueGround',
       angleTrueWater: 'environment.wind.angleTrueWater',
       directionTrue: 'environment.wind.directionTrue',
       directionMagnetic: 'environment.wind.directionMagnetic',
-      speedTrue: 'environment.wind.speedTrue'
+      speedTrue: 'environment.wind.speedTrue',
+      speedOverGround: 'environment.wind.speedOverGround',
+      speedTrue10m: 'environment.wind.speedTrue10m',
+      anchorMode: 'environment.wind.anchorMode',
+      anchorReferenceDirection: 'environment.wind.anchorReferenceDirection',
+      anchorWindShift: 'environment.wind.anchorWindShift',
+      anchorLyingDirection: 'environment.wind.anchorLyingDirection',
+      anchorSwingAngle: 'environment.wind.anchorSwingAngle',
+      stationDistance: 'environment.wind.stationDistance',
+      expectedSpeedApparent: 'environment.wind.expected.speedApparent',
+      expectedAngleApparent: 'environment.wind.expected.angleApparent',
+      expectedAngleTrueGround: 'environment.wind.expected.angleTrueGround'
     };
 
     const tempestPaths = {
-      windChill: 'environment.outside.tempest.observations.windChill',
-      heatIndex: 'environment.outside.tempest.observations.heatIndex',
-      feelsLike: 'environment.outside.tempest.observations.feelsLike'
+      windChill: `${observationPath}.windChill`,
+      heatIndex: `${observationPath}.heatIndex`,
+      apparentTemperature: `${observationPath}.apparentTemperature`,
+      feelsLike: `${observationPath}.feelsLike`
     };
 
-    // Create deltas for wind values
+    // Wind values
     Object.entries(windPaths).forEach(([key, path]) => {
       if (derivedValues[key] !== undefined) {
-        deltas.push({
-          context: 'vessels.self',
-          updates: [{
-            $source: derivedValues.source,
-            timestamp: derivedValues.timestamp,
-            values: [{
-              path: path,
-              value: derivedValues[key]
-            }]
-          }]
-        });
+        values.push({ path, value: derivedValues[key] });
       }
     });
 
-    // Create deltas for temperature-related values
+    // Temperature-related values
     Object.entries(tempestPaths).forEach(([key, path]) => {
       if (derivedValues[key] !== undefined && derivedValues[key] !== null) {
-        deltas.push({
-          context: 'vessels.self',
-          updates: [{
-            $source: derivedValues.source,
-            timestamp: derivedValues.timestamp,
-            values: [{
-              path: path,
-              value: derivedValues[key]
-            }]
-          }]
-        });
+        values.push({ path, value: derivedValues[key] });
       }
     });
 
-    return deltas;
+    if (values.length === 0) return [];
+
+    return [{
+      context: 'vessels.self',
+      updates: [{
+        $source: derivedValues.source,
+        timestamp: derivedValues.timestamp,
+        values
+      }]
+    }];
   }
 }
 
@@ -0,0 +1,66 @@
+// Zambretti barometric forecaster (Negretti & Zambra), for when the cloud forecast can't be reached
+// Works from sea level pressure (MB), its 3 h trend, the true wind direction, hemisphere and season
+
+const PRESSURE_BOTTOM = 950; // MB, lower end of the Zambretti scale
+const PRESSURE_TOP = 1050; // MB, upper end
+const PRESSURE_RANGE = PRESSURE_TOP - PRESSURE_BOTTOM;
+
+// Forecast texts for the letters A to Z
+const FORECASTS = [
+  'Settled fine', 'Fine weather', 'Becoming fine', 'Fine, becoming less settled', 'Fine, possible showers',
+  'Fairly fine, improving', 'Fairly fine, possible showers early', 'Fairly fine, showery later',
+  'Showery early, improving', 'Changeable, mending', 'Fairly fine, showers likely', 'Rather unsettled, clearing later',
+  'Unsettled, probably improving', 'Showery, bright intervals', 'Showery, becoming less settled',
+  'Changeable, some rain', 'Unsettled, short fine intervals', 'Unsettled, rain later', 'Unsettled, some rain',
+  'Mostly very unsettled', 'Occasional rain, worsening', 'Rain at times, very unsettled', 'Rain at frequent intervals',
+  'Rain, very unsettled', 'Stormy, may improve', 'Stormy, much rain'
+];
+
+// Forecast index for each of the 22 pressure bands, by trend
+const RISING = [25, 25, 25, 24, 24, 19, 16, 12, 11, 9, 8, 6, 5, 2, 1, 1, 0, 0, 0, 0, 0, 0];
+const STEADY = [25, 25, 25, 25, 25, 25, 23, 23, 22, 18, 15, 13, 10, 4, 1, 1, 0, 0, 0, 0, 0, 0];
+const FALLING = [25, 25, 25, 25, 25, 25, 25, 25, 23, 23, 21, 20, 17, 14, 7, 3, 1, 1, 1, 0, 0, 0];
+
+// Pressure adjustment in percent of the range for the 16 compass points from N clockwise (northern hemisphere)
+const WIND_ADJUSTMENT = [6, 5, 5, 2, -0.5, -2, -5, -8.5, -12, -10, -6, -4.5, -3, -0.5, 1.5, 3];
+
+// Forecast from sea level pressure (MB), trend ('rising', 'falling', 'steady' or null while the 3 h history
+// is incomplete), true wind direction (rad or null), latitude (degrees or null, north assumed) and month (1-12)
+// Returns { code, text, confidence } with confidence as a ratio lowered for every missing or unusual input
+function zambrettiForecast({ pressure, trend, windDirection, latitude, month }) {
+  if (typeof pressure !== 'number') return null;
+
+  const southern = typeof latitude === 'number' && latitude < 0;
+  let adjusted = pressure;
+  let confidence = 1;
+
+  // Wind from the pole side raises the reading; in the southern hemisphere the compass is mirrored
+  if (typeof windDirection === 'number') {
+    const degrees = (windDirection * 180 / Math.PI + (southern ? 180 : 0) + 360) % 360;
+    adjusted += WIND_ADJUSTMENT[Math.round(degrees / 22.5) % 16] / 100 * PRESSURE_RANGE;
+  } else {
+    confidence -= 0.15;
+  }
+
+  // Rising pressure in summer and falling pressure in winter are more significant
+  const summer = southern ? (month <= 3 || month >= 10) : (month >= 4 && month <= 9);
+  if (summer && trend === 'rising') adjusted += 7 / 100 * PRESSURE_RANGE;
+  if (!summer && trend === 'falling') adjusted -= 7 / 100 * PRESSURE_RANGE;
+
+  if (!trend) confidence -= 0.3;
+  if (pressure < PRESSURE_BOTTOM || pressure > PRESSURE_TOP) confidence -= 0.2;
+
+  const band = Math.min(21, Math.max(0, Math.floor((adjusted - PRESSURE_BOTTOM) / (PRESSURE_RANGE / 22))));
+  const table = trend === 'rising' ? RISING : trend === 'falling' ? FALLING : STEADY;
+  const index = table[band];
+
+  return {
+    code: String.fromCharCode(65 + index),
+    text: FORECASTS[index],
+    confidence: Math.round(confidence * 100) / 100
+  };
+}
+
+module.exports = {
+  zambrettiForecast
+};